@@ -9,6 +9,13 @@
 // @grant        GM_xmlhttpRequest
 // @grant        GM_setValue
 // @grant        GM_getValue
+// @grant        GM_setClipboard
+// @connect      docs.google.com
+// @connect      steamcommunity.com
+// Custom CSV/JSON sources can live on any host, which only the wildcard allows. The two
+// hosts above are still listed so their requests don't trigger the manager's prompt,
+// which asks the user before the first request to any other host.
+// @connect      *
 // ==/UserScript==
 
 (function() {
@@ -17,17 +24,50 @@
     const CONSTANTS = {
         SPREADSHEET: {
             ID: '1jaDxV8F7bcz4E9zeIRmZGKuaX7d0kvWWq28aKckISaY',
-            SHEETS: [
-                { version: '1.4/1.5', gid: '1144921800', note: 'Note: This list includes both 1.4 and 1.5 mods' },
-                { version: '1.3', gid: '278315082' },
-                { version: '1.1/1.2', gid: '149201791' },
-                { version: '1.0', gid: '0' }
-            ]
+            // Used until the spreadsheet's tabs have been discovered, or when discovery fails
+            FALLBACK_SHEETS: [
+                { version: '1.4/1.5', gid: '1144921800', versions: ['1.4', '1.5'], note: 'Note: This list includes both 1.4 and 1.5 mods' },
+                { version: '1.3', gid: '278315082', versions: ['1.3'] },
+                { version: '1.1/1.2', gid: '149201791', versions: ['1.1', '1.2'] },
+                { version: '1.0', gid: '0', versions: ['1.0'] }
+            ],
+            SHEETS_KEY: 'sheetList',
+            // Header cells are matched against these patterns to locate each column
+            COLUMNS: {
+                status: /^(mp\s*)?(status|compat(ibility)?(\s*status)?|rating)$/i,
+                name: /^(mod\s*)?(name|title)$|^mod$/i,
+                steamId: /^(steam|workshop)\s*(workshop\s*)?id$|^id$/i,
+                notes: /^(notes?|comments?|details?)$/i
+            },
+            COLUMN_LABELS: {
+                status: 'Status',
+                name: 'Mod Name',
+                steamId: 'Steam ID',
+                notes: 'Notes'
+            },
+            REQUIRED_COLUMNS: ['status', 'steamId'],
+            HEADER_SCAN_ROWS: 20
         },
         CACHE: {
-            KEY: 'rimworld_mp_compatibility_data',
-            TIMESTAMP_KEY: 'rimworld_mp_compatibility_timestamp',
-            DURATION: 24 * 60 * 60 * 1000,
+            STORAGE_KEY: 'compatibilityCache',
+            SCHEMA_VERSION: 2,
+            // localStorage keys used before the cache moved to userscript storage
+            LEGACY_KEYS: {
+                DATA: 'rimworld_mp_compatibility_data',
+                TIMESTAMP: 'rimworld_mp_compatibility_timestamp',
+                INDEX: 'rimworld_mp_compatibility_index'
+            },
+            HISTORY_KEY: 'changeHistory',
+            HISTORY_SEEN_KEY: 'changeHistorySeen',
+            HISTORY_BASELINE_KEY: 'changeHistoryBaseline',
+            MOD_LAST_SEEN_KEY: 'modLastSeen',
+            HISTORY_LIMIT: 10,
+            MOD_LAST_SEEN_LIMIT: 500,
+            // Bump when parsing changes what existing rows produce, so the next refresh isn't diffed as edits
+            PARSER_VERSION: 2,
+            OFFLINE_KEY: 'offlineMode',
+            FETCH_RETRIES: 3,
+            FETCH_RETRY_DELAY: 1000,
             REFRESH_ATTEMPTS: 50,
             REFRESH_INTERVAL: 100
         },
@@ -52,8 +92,123 @@
                 '2': '⚡',
                 '3': '⚠️',
                 '4': '✅'
+            },
+            SHORT_LABELS: {
+                'untested': 'Untested',
+                '1': 'Does not work',
+                '2': 'Major issues',
+                '3': 'Minor issues',
+                '4': 'Fully compatible'
+            },
+            ORDER: ['4', '3', '2', '1', 'untested'],
+            // Higher is worse; untested sits between minor and major issues
+            SEVERITY: {
+                '4': 0,
+                '3': 1,
+                'untested': 2,
+                '2': 3,
+                '1': 4
+            }
+        },
+        DATA_SOURCE: {
+            KEY: 'dataSource',
+            TYPES: ['default', 'sheet', 'url', 'file'],
+            // Single-table sources (one CSV) are stored under this pseudo gid
+            CUSTOM_GID: 'custom',
+            DEFAULT_CUSTOM_VERSION: 'Custom'
+        },
+        DEPENDENCIES: {
+            CACHE_KEY: 'dependencyCache',
+            SUPPLIED_KEY: 'suppliedDependencies',
+            CACHE_DURATION: 7 * 24 * 60 * 60 * 1000,
+            CACHE_LIMIT: 2000,
+            CONCURRENCY: 4
+        },
+        VERDICT: {
+            WEIGHTS_KEY: 'riskWeights',
+            DEFAULT_WEIGHTS: {
+                '4': 0,
+                '3': 1,
+                'untested': 3,
+                '2': 6,
+                '1': 20
+            },
+            // Risk scores (0-100) at or below these are hostable / hostable with caution
+            HOST_THRESHOLD: 10,
+            CAUTION_THRESHOLD: 25
+        },
+        COLLECTION_SORT: {
+            KEY: 'collectionSort',
+            MODES: ['original', 'worst', 'best', 'grouped']
+        },
+        COLLECTION_GUARD: {
+            TRIGGER_SELECTOR: '#AddToCollectionBtn, [onclick*="AddToCollection"]',
+            DIALOG_SELECTOR: '.newmodal',
+            GUARDED_STATUSES: ['1', '2']
+        },
+        FUZZY_MATCH: {
+            THRESHOLD: 0.6,
+            MAX_CANDIDATES: 3,
+            // Words that re-uploads and forks add to the original mod name
+            NOISE_WORDS: ['continued', 'updated', 'update', 'unofficial', 'fork', 'fixed', 'patched', 'reupload', 're upload', 'rewrite', 'redux', 'remastered', 'mod']
+        },
+        WATCHLIST: {
+            KEY: 'watchlist',
+            ALERTS_KEY: 'watchlistAlerts',
+            ALERTS_LIMIT: 50
+        },
+        SETTINGS: {
+            KEY: 'settings',
+            DEFAULTS: {
+                refreshHours: 24,
+                iconSet: 'emoji',
+                badgePosition: 'top-right',
+                enhancePages: { workshop: true, collections: true, mods: true },
+                tooltipTrigger: 'hover',
+                palette: 'default',
+                statusText: false,
+                language: 'auto'
+            },
+            REFRESH_HOURS: [6, 12, 24, 72, 168],
+            // The emoji set is CONSTANTS.STATUS.ICONS
+            ICON_SETS: {
+                emoji: { icons: null },
+                shapes: { icons: { 'untested': '◌', '1': '✖', '2': '▲', '3': '◆', '4': '●' } },
+                text: { icons: { 'untested': '?', '1': 'NO', '2': 'MAJOR', '3': 'MINOR', '4': 'OK' } }
+            },
+            // The default palette is CONSTANTS.STATUS.COLORS. The colorblind-safe one uses
+            // Okabe-Ito hues, which stay distinct with red-green color vision deficiencies.
+            PALETTES: {
+                default: { colors: null },
+                colorblind: {
+                    colors: { 'untested': '#bbbbbb', '1': '#d55e00', '2': '#e69f00', '3': '#f0e442', '4': '#56b4e9' }
+                }
+            },
+            BADGE_POSITIONS: ['top-right', 'top-left', 'bottom-right', 'bottom-left'],
+            PAGES: ['workshop', 'collections', 'mods'],
+            TOOLTIP_TRIGGERS: ['hover', 'click', 'off']
+        },
+        I18N: {
+            LANGUAGES: {
+                auto: 'Automatic (Steam or browser language)',
+                en: 'English',
+                de: 'Deutsch',
+                ru: 'Русский',
+                zh: '简体中文'
+            },
+            // Steam_Language cookie values
+            STEAM_LANGUAGES: {
+                english: 'en',
+                german: 'de',
+                russian: 'ru',
+                schinese: 'zh',
+                tchinese: 'zh'
             }
         },
+        OVERRIDES: {
+            KEY: 'overrides',
+            MARKER_COLOR: '#ffd700'
+        },
         UI: {
             COLORS: {
                 BORDER: '#4c6b22',
@@ -68,6 +223,11 @@
                 LARGE: '15px'
             },
             TOAST_DURATION: 3000,
+            MATRIX_NOTE_LENGTH: 80,
+            FILTER: {
+                KEY: 'browseStatusFilter',
+                DIM_OPACITY: '0.25'
+            },
             COMMON_STYLES: {
                 button: `
                     background: #316282;
@@ -93,17 +253,1283 @@
                 DEFAULT_SET: (version) => `Default version set to ${version}`,
                 DEFAULT_CLEARED: 'Default version cleared',
                 UPDATE_SUCCESS: 'Compatibility data updated successfully!',
-                UPDATE_ERROR: 'Failed to update compatibility data. Please try again later.'
+                UPDATE_ERROR: 'Failed to update compatibility data. Please try again later.',
+                SNAPSHOT_IMPORTED: 'Compatibility snapshot imported',
+                SNAPSHOT_INVALID: (reason) => `Invalid compatibility snapshot: ${reason}`,
+                OFFLINE: 'Offline mode is on. Turn it off to download fresh data.',
+                FILE_SOURCE: 'The data source is a local file. Upload it again to update the data.',
+                SOURCE_CHANGED: (name) => `Data source changed to ${name}`,
+                STORAGE_FULL: 'Compatibility data could not be saved, storage is full. It will be downloaded again on the next page.',
+                EXPORT_COPIED: (format) => `${format} report copied to clipboard`,
+                EXPORT_DOWNLOADED: (format) => `${format} report downloaded`,
+                IMPORT_EMPTY: 'No mods found in the pasted list',
+                SETTINGS_SAVED: 'Settings saved. Page, icon and language changes apply fully after a reload.',
+                SETTINGS_RESET: 'Settings reset to defaults',
+                SETTINGS_IMPORTED: 'Settings imported',
+                SETTINGS_INVALID: (reason) => `Invalid settings file: ${reason}`,
+                SUBMISSION_COPIED: 'Compatibility report copied to clipboard',
+                SUBMISSION_DOWNLOADED: 'Compatibility report downloaded',
+                OVERRIDE_SAVED: 'Personal override saved',
+                OVERRIDE_REMOVED: 'Personal override removed',
+                OVERRIDES_IMPORTED: (count) => `Imported personal overrides for ${count} mod${count === 1 ? '' : 's'}`,
+                OVERRIDES_INVALID: (reason) => `Invalid overrides file: ${reason}`,
+                MOD_LIST_FAILED: (reason) => `Failed to read mod list: ${reason}`,
+                SOURCE_FAILED: (reason) => `Failed to load data source: ${reason}`,
+                ENTER_SHEET_ID: 'Enter a spreadsheet ID',
+                ENTER_URL: 'Enter an http(s) URL',
+                CHOOSE_FILE: 'Choose a file to upload',
+                WEIGHTS_INVALID: 'Weights must be zero or positive numbers',
+                DEPENDENCIES_FAILED: (count) => `Could not read required items for ${count} mod${count === 1 ? '' : 's'}`,
+                DEPENDENCIES_INVALID: (reason) => `Invalid dependency list: ${reason}`,
+                ENTER_COLLECTION: 'Enter a collection ID or Workshop URL'
             },
             ERROR: {
                 CACHE_INIT: 'Failed to initialize compatibility data. Please try refreshing the page.',
+                NO_DATA: 'No compatibility data is available. The spreadsheet could not be downloaded and nothing is cached yet. Import a snapshot to use the checker offline.',
                 CACHE_UPDATE: 'Failed to update compatibility data. Please try again later.',
-                CACHE_WORKSHOP: 'Failed to initialize cache for workshop icons'
+                CACHE_WORKSHOP: 'Failed to initialize cache for workshop icons',
+                SHEET_LAYOUT: (version, missing) => `Sheet layout changed: the RimWorld ${version} sheet has no ${missing.join(' or ')} column. Compatibility data for this version cannot be read until the script is updated.`,
+                COLLECTION_EMPTY: (id) => `No mods found in collection ${id}. Is it a public Workshop collection?`,
+                NOT_JSON: 'not a JSON file',
+                SNAPSHOT_NO_DATA: 'missing sheet data',
+                SNAPSHOT_MALFORMED: 'missing timestamp or sheet data',
+                SETTINGS_MALFORMED: 'not a settings export',
+                OVERRIDES_MALFORMED: 'missing or malformed overrides',
+                INVALID_XML: 'The file is not valid XML',
+                DATA_FETCH_FAILED: (status) => `Failed to fetch data (Status: ${status})`,
+                PAGE_FETCH_FAILED: (status) => `Failed to fetch page (Status: ${status})`,
+                REQUEST_FAILED: (error) => `Request failed: ${error}`
+            },
+            // Exported reports and the maintainer report stay in English whatever the UI
+            // language, so these are deliberately left out of the translation catalogs
+            REPORT: {
+                STATUS_LABELS: {
+                    'untested': 'Untested',
+                    '1': 'Does not work',
+                    '2': 'Major issues',
+                    '3': 'Minor issues',
+                    '4': 'Fully compatible'
+                },
+                LIMITED_BY_DEPENDENCY: (names) => `[Limited by dependency: ${names}]`
+            },
+            UI: {
+                PANEL_TITLE: 'RimWorld Multiplayer Compatibility',
+                SHOWING_VERSION: (version) => `Showing compatibility for RimWorld <strong>${version}</strong>`,
+                RIMWORLD_VERSION: (version) => `RimWorld ${version}`,
+                DEFAULT_SUFFIX: '(default)',
+                DECLARES_VERSIONS: (versions) => `This mod declares RimWorld ${versions}.`,
+                DECLARES_NONE: 'This mod declares no RimWorld version tags.',
+                USING_SHEET: (version, reason) => `Using the ${version} sheet because ${reason}.`,
+                SHOWING_SHEET: (version) => `Showing the ${version} sheet as selected.`,
+                REASON_DEFAULT: 'your default version is set',
+                REASON_NO_TAGS: 'the mod declares no version tags, so the newest sheet is used',
+                REASON_NEWEST: (version) => `${version} is the newest version the mod declares`,
+                REASON_FALLTHROUGH: (missing, version) => `there is no sheet for ${missing} yet, and ${version} is the newest declared version with one`,
+                REASON_UNCOVERED: 'no sheet covers the declared versions, so the newest sheet is used',
+                UPDATED_SINCE_VISIT: '🆕 Updated since you last looked',
+                VIEW_IN_SPREADSHEET: 'View in Compatibility Spreadsheet',
+                STATUS: (description) => `Status: ${description}`,
+                NOTES: 'Notes:',
+                NO_NOTES: 'No notes available',
+                NOT_FOUND: 'Unable to find mod ID in the compatibility spreadsheet. Be aware that compatibility with this mod is not tested.',
+                DIFFERENT_STEAM_ID: 'This mod may be listed under a different Steam ID (re-upload, fork or continued version).',
+                LAST_UPDATED: (date, age) => `Last updated: ${date} (${age})`,
+                OFFLINE_SUFFIX: ' · offline mode',
+                STALE_SUFFIX: ' · stale',
+                REFRESH: '🔄 Refresh Data',
+                REFRESHING: 'Refreshing...',
+                REPORT: '📝 Report compatibility',
+                ALL_VERSIONS: 'All versions',
+                WATCH: '👁 Watch',
+                WATCHING: '👁 Watching',
+                OVERRIDE: '✎ Override',
+                VERSION_LABEL: 'RimWorld Version:',
+                SET_DEFAULT: '📌 Set as Default',
+                CLEAR_DEFAULT: '❌ Clear Default',
+                CHECK_MOD_LIST: '📂 Check Mod List',
+                FILTER_SHOW: 'Show:',
+                FILTER_DIM: 'Dim filtered mods',
+                FILTER_HIDE: 'Hide filtered mods',
+                SUMMARY_TITLE: (version) => `Compatibility Summary for RimWorld ${version}`,
+                EXPORT_LABEL: 'Export report:',
+                COPY: '📋 Copy',
+                DOWNLOAD: '💾 Download',
+                NEVER: 'Never',
+                UNKNOWN: 'Unknown',
+                UNKNOWN_STATUS: 'Unknown status',
+                NO_DATA: 'no data',
+                CLOSE: 'Close',
+                CANCEL: 'Cancel',
+                SAVE: '✔ Save',
+                RESET_DEFAULTS: '↺ Reset to defaults',
+                AGE_NEVER: 'never updated',
+                AGE_JUST_NOW: 'just now',
+                AGE_MINUTES: (minutes) => `${minutes} min old`,
+                AGE_HOURS: (hours) => `${hours} h old`,
+                AGE_DAYS: (days) => `${days} day${days === 1 ? '' : 's'} old`,
+                AGE_OFFLINE: (age) => `offline snapshot, ${age}`,
+                AGE_STALE: (age) => `data ${age}`,
+                INDICATOR_TITLE: (date) => `Compatibility data last updated: ${date}. Click for settings and data.`,
+                MULTI_VERSION_NOTE: (versions, last) => `Note: This list includes ${versions} and ${last} mods`,
+                BADGE_LABEL: (description, isOverride) => `Multiplayer status: ${description}${isOverride ? ' (personal override)' : ''}`,
+                TOOLTIP_LABEL: (name) => `${name}: multiplayer compatibility`,
+                CHANGE_ADDED: (status) => `Added as ${status}`,
+                CHANGE_REMOVED: (status) => `Removed (was ${status})`,
+                CHANGE_NOTES: (notes) => `Notes edited: ${notes}`,
+                EMPTY_NOTES: '(empty)',
+                CHANGES_BADGE: (count) => `🆕 ${count} compatibility change${count === 1 ? '' : 's'}`,
+                CHANGES_BADGE_TITLE: 'Show what changed in the compatibility data since you last looked',
+                CHANGES_TITLE: 'Compatibility Data Changes',
+                CHANGE_KINDS: {
+                    statusChanged: 'Status changed',
+                    added: 'Added',
+                    removed: 'Removed',
+                    notesChanged: 'Notes edited'
+                },
+                NO_CHANGES: 'No changes since you last looked.',
+                MARK_SEEN: '✔ Mark as seen',
+                WATCH_TITLE: 'Alert me when this mod\'s multiplayer status changes',
+                UNWATCH_TITLE: 'Stop alerting on multiplayer status changes',
+                WATCHLIST_ALERTS: (count) => `🔔 ${count} watchlist alert${count === 1 ? '' : 's'}`,
+                WATCHLIST_BADGE: (count) => `👁 Watchlist (${count})`,
+                WATCHLIST_TITLE: 'Multiplayer Watchlist',
+                STATUS_CHANGES: '🔔 Status changes',
+                CLEAR_ALERTS: '✔ Clear alerts',
+                WATCHED_MODS: (version, count) => `Watched mods for RimWorld ${version} (${count})`,
+                NO_WATCHED: 'No mods watched yet. Use the 👁 Watch button on a mod page or icon tooltip.',
+                UNWATCH: 'Unwatch',
+                PERSONAL_OVERRIDE: 'Personal override',
+                PERSONAL: '✎ personal',
+                SHEET_SAYS: (label) => `(sheet says: ${label})`,
+                PRIVATE_NOTE: (note) => `Private note: ${note}`,
+                OVERRIDE_TITLE: 'Set your own status and private note for this mod',
+                OVERRIDE_DIALOG_TITLE: (name) => `Personal Override: ${name}`,
+                OVERRIDE_INFO: (version, description) => `RimWorld ${version}. The sheet says: ${description}. Overrides are only stored in this browser.`,
+                USE_SHEET_STATUS: 'Use the sheet status',
+                OVERRIDE_NOTE_PLACEHOLDER: 'Private note (e.g. "Desyncs when opening the research tab")',
+                REMOVE_OVERRIDE: '🗑 Remove override',
+                REPORT_TITLE: 'Write a compatibility report for the spreadsheet maintainers',
+                SUBMISSION_TITLE: (name) => `Report Compatibility: ${name}`,
+                SUBMISSION_STATUS: 'Status in multiplayer',
+                SUBMISSION_VERSION: 'RimWorld version',
+                SUBMISSION_NOTES: 'Notes',
+                SUBMISSION_STEPS: 'Steps to reproduce',
+                SUBMISSION_NOTES_PLACEHOLDER: 'What works and what breaks in multiplayer',
+                SUBMISSION_STEPS_PLACEHOLDER: 'One step per line, e.g.\nHost a game with the mod enabled\nOpen the mod settings\nClient desyncs',
+                COPY_REPORT: '📋 Copy report',
+                DOWNLOAD_REPORT: '💾 Download report',
+                MATRIX_ROW_TITLE: (version) => `Show compatibility for RimWorld ${version}`,
+                MOD_LIST_TITLE: 'Check a Mod List',
+                MOD_LIST_HELP: 'Paste or upload RimWorld\'s ModsConfig.xml, or a mod list exported from RimSort or RimPy. Entries are matched by Workshop ID or package ID.',
+                CHECK: '🔍 Check',
+                MOD_LIST_SUMMARY_TITLE: (version, count) => `Mod List Compatibility for RimWorld ${version} (${count} mods)`,
+                GUARD_TITLE: (status, version) => `${status} in multiplayer for RimWorld ${version}`,
+                ADD_ANYWAY: 'Add to collection anyway',
+                SETTINGS_TITLE: 'MP Compatibility Settings',
+                SETTINGS_REFRESH: 'Check for new compatibility data every',
+                REFRESH_HOURS: (hours) => `${hours} hours`,
+                REFRESH_DAYS: (days) => `${days} day${days === 1 ? '' : 's'}`,
+                SETTINGS_DEFAULT_VERSION: 'Default RimWorld version',
+                DEFAULT_VERSION_NONE: 'None (detect from each mod)',
+                SETTINGS_ICONS: 'Status icons',
+                SETTINGS_BADGE_POSITION: 'Icon position on Workshop items',
+                SETTINGS_TOOLTIPS: 'Status tooltips',
+                SETTINGS_LANGUAGE: 'Language',
+                SETTINGS_COLORS: 'Status colors',
+                SETTINGS_STATUS_TEXT: 'Show text labels next to status icons',
+                SETTINGS_PAGES: 'Enhance these pages',
+                SETTINGS_RESET_CONFIRM: 'Reset all settings, including the default version, to their defaults?',
+                EXPORT_SETTINGS: '💾 Export settings',
+                IMPORT_SETTINGS: '📥 Import settings',
+                OPEN_DATA: '🗄 Data, sources & overrides',
+                LANGUAGE_AUTO: 'Automatic (Steam or browser language)',
+                ICON_SETS: {
+                    emoji: 'Emoji',
+                    shapes: 'Shapes',
+                    text: 'Text'
+                },
+                PALETTES: {
+                    default: 'Default',
+                    colorblind: 'Colorblind-safe'
+                },
+                BADGE_POSITIONS: {
+                    'top-right': 'Top right',
+                    'top-left': 'Top left',
+                    'bottom-right': 'Bottom right',
+                    'bottom-left': 'Bottom left'
+                },
+                PAGES: {
+                    workshop: 'Workshop browse pages',
+                    collections: 'Collections',
+                    mods: 'Mod pages'
+                },
+                TOOLTIP_TRIGGERS: {
+                    hover: 'Show on hover',
+                    click: 'Show on click',
+                    off: 'Never show'
+                },
+                DATA_TITLE: 'Compatibility Data',
+                NO_DATA_LOADED: 'No compatibility data has been loaded yet.',
+                OFFLINE_MODE: 'Offline mode: never download, only use cached or imported data',
+                EXPORT_SNAPSHOT: '💾 Export snapshot',
+                IMPORT_SNAPSHOT: '📥 Import snapshot',
+                OVERRIDES_HEADING: (count) => `Personal overrides (${count} mod${count === 1 ? '' : 's'})`,
+                EXPORT_OVERRIDES: '💾 Export overrides',
+                IMPORT_OVERRIDES: '📥 Import overrides',
+                DATA_SOURCE: 'Data source',
+                SOURCE_TYPES: {
+                    default: 'Community Google Sheet',
+                    sheet: 'Custom Google Sheet ID',
+                    url: 'CSV or JSON URL',
+                    file: 'Local CSV or JSON file'
+                },
+                SOURCE_SHEET_ID: 'Spreadsheet ID',
+                SOURCE_SHEET_ID_PLACEHOLDER: 'Spreadsheet ID from docs.google.com/spreadsheets/d/<ID>/',
+                SOURCE_URL: 'URL',
+                SOURCE_FILE: 'File',
+                SOURCE_FILE_CURRENT: (name) => `File (current: ${name})`,
+                SOURCE_VERSION: 'RimWorld version of the CSV',
+                SOURCE_VERSION_PLACEHOLDER: 'e.g. 1.5 (used for CSV sources)',
+                USE_SOURCE: '✔ Use this source',
+                SCREEN_READER_MODS: 'mods',
+                LIMITED_VIA: (names) => `⛓ via ${names}`,
+                OWN_STATUS: (status) => `Own status: ${status}`,
+                VERDICT_NO: '🚫 Do not host',
+                VERDICT_CAUTION: '⚠️ Host with caution',
+                VERDICT_HOST: '✅ Safe to host',
+                RISK_SCORE: 'Risk score:',
+                RISK_SCORE_TITLE: 'Weighted average of every mod\'s status: 0 means everything works, 100 means nothing does',
+                WEIGHTS: '⚙ Weights',
+                BLOCKING_MODS: 'Blocking mods (do not work in multiplayer)',
+                RISKY_MODS: 'Risky mods (major issues)',
+                VIA_DEPENDENCY: (names) => `(via ${names})`,
+                WEIGHTS_TITLE: 'Risk Score Weights',
+                WEIGHTS_HELP: 'How much each status adds to a collection\'s risk score. The highest weight counts as 100% risk.',
+                DEPENDENCIES_HEADING: (known, total) => `Dependencies (${known} of ${total} mods checked)`,
+                MISSING_DEPENDENCIES: (count) => `⚠️ ${count} required mod${count === 1 ? ' is' : 's are'} missing from this collection:`,
+                REQUIRED_BY: (names) => `— required by ${names}`,
+                NO_MISSING_DEPENDENCIES: '✅ No known required mods are missing.',
+                LIMITED_COUNT: (count) => `⛓ ${count} mod${count === 1 ? ' is' : 's are'} rated lower because a dependency has a worse multiplayer status.`,
+                READ_DEPENDENCIES: '🔗 Read required items from Workshop',
+                RECHECK_DEPENDENCIES: '🔗 Re-check dependencies',
+                READING_DEPENDENCIES: (done, total) => `Reading ${done}/${total}...`,
+                SUPPLY_DEPENDENCIES: '📝 Supply dependency list',
+                SUPPLY_TITLE: 'Supply a Dependency List',
+                SUPPLY_HELP: 'One "modId: requiredId, requiredId" line per mod, or JSON like {"modId": ["requiredId"]}. Supplied dependencies take precedence over Workshop pages.',
+                COLLECTION_ITEMS: 'Collection items:',
+                COLLECTION_SORT_MODES: {
+                    original: 'Original order',
+                    worst: 'Worst first',
+                    best: 'Best first',
+                    grouped: 'Grouped by status'
+                },
+                RESTORE_ORDER: '↺ Restore original order',
+                GROUP_HEADING: (icon, label, count) => `${icon} ${label} (${count})`,
+                COMPARE_WITH: '⇄ Compare with another collection',
+                COMPARE_TITLE: 'Compare Collections',
+                COLLECTION_ID_PLACEHOLDER: 'Collection ID or URL',
+                COMPARE: '⇄ Compare',
+                THIS_COLLECTION: 'This collection',
+                COLLECTION_FALLBACK: (id) => `Collection ${id}`,
+                COLLECTION_A: (title) => `A: ${title}`,
+                COLLECTION_B: (title) => `B: ${title}`,
+                COMPARE_SUMMARY: (count, score) => `${count} mods, risk score ${score}/100`,
+                ONLY_IN_A: (title) => `Only in A: ${title}`,
+                ONLY_IN_B: (title) => `Only in B: ${title}`,
+                IN_BOTH: 'In both',
+                NONE: 'None',
+                LOADING_COLLECTION: 'Loading collection...',
+                POSSIBLE_MATCHES: 'Possible matches by name:',
+                MATCH_CONFIDENCE: (percent, label) => `(${percent}% match, ${label})`,
+                UNRESOLVED_PACKAGE: (packageId) => `Unable to resolve package ID "${packageId}" to a Workshop ID. Add the Workshop ID to the list to check it.`,
+                UNRESOLVED_ENTRY: 'No compatibility data for this entry. Add its Workshop ID to the list to check it.',
+                INDICATOR: {
+                    loading: 'MP Compatibility: Loading...',
+                    success: 'MP Compatibility: Ready',
+                    error: 'MP Compatibility: Error',
+                    expired: 'MP Compatibility: Update Available',
+                    stale: (age) => `MP Compatibility: Stale (${age})`,
+                    offline: (age) => `MP Compatibility: Offline (${age})`,
+                    layout: 'MP Compatibility: Sheet Layout Changed'
+                }
+            }
+        }
+    };
+
+    /**
+     * Translation catalogs, merged over the English strings in CONSTANTS at startup.
+     * Catalogs mirror the CONSTANTS structure; any key they leave out stays English.
+     */
+    const TRANSLATIONS = {
+        de: {
+            STATUS: {
+                DESCRIPTIONS: {
+                    'untested': 'Ungetestet - Die Multiplayer-Kompatibilität wurde nicht überprüft',
+                    '1': 'Funktioniert nicht - Die Mod ist nicht mit dem Multiplayer kompatibel',
+                    '2': 'Große Probleme - Die Mod läuft, aber wichtige Funktionen gehen im Multiplayer nicht',
+                    '3': 'Kleine Probleme - Die Mod läuft, einige kleinere Funktionen gehen im Multiplayer nicht',
+                    '4': 'Voll kompatibel - Alle Funktionen arbeiten im Multiplayer korrekt'
+                },
+                SHORT_LABELS: {
+                    'untested': 'Ungetestet',
+                    '1': 'Funktioniert nicht',
+                    '2': 'Große Probleme',
+                    '3': 'Kleine Probleme',
+                    '4': 'Voll kompatibel'
+                }
+            },
+            MESSAGES: {
+                TOAST: {
+                    DEFAULT_SET: (version) => `Standardversion auf ${version} gesetzt`,
+                    DEFAULT_CLEARED: 'Standardversion entfernt',
+                    UPDATE_SUCCESS: 'Kompatibilitätsdaten erfolgreich aktualisiert!',
+                    UPDATE_ERROR: 'Kompatibilitätsdaten konnten nicht aktualisiert werden. Bitte später erneut versuchen.',
+                    OFFLINE: 'Der Offline-Modus ist aktiv. Schalte ihn aus, um neue Daten herunterzuladen.',
+                    EXPORT_COPIED: (format) => `${format}-Bericht in die Zwischenablage kopiert`,
+                    EXPORT_DOWNLOADED: (format) => `${format}-Bericht heruntergeladen`,
+                    SNAPSHOT_IMPORTED: 'Kompatibilitäts-Snapshot importiert',
+                    SNAPSHOT_INVALID: (reason) => `Ungültiger Kompatibilitäts-Snapshot: ${reason}`,
+                    FILE_SOURCE: 'Die Datenquelle ist eine lokale Datei. Lade sie erneut hoch, um die Daten zu aktualisieren.',
+                    SOURCE_CHANGED: (name) => `Datenquelle geändert: ${name}`,
+                    STORAGE_FULL: 'Kompatibilitätsdaten konnten nicht gespeichert werden, der Speicher ist voll. Sie werden auf der nächsten Seite erneut heruntergeladen.',
+                    IMPORT_EMPTY: 'In der eingefügten Liste wurden keine Mods gefunden',
+                    SETTINGS_SAVED: 'Einstellungen gespeichert. Änderungen an Seiten, Symbolen und Sprache wirken vollständig nach dem Neuladen.',
+                    SETTINGS_RESET: 'Einstellungen auf Standard zurückgesetzt',
+                    SETTINGS_IMPORTED: 'Einstellungen importiert',
+                    SETTINGS_INVALID: (reason) => `Ungültige Einstellungsdatei: ${reason}`,
+                    SUBMISSION_COPIED: 'Kompatibilitätsbericht in die Zwischenablage kopiert',
+                    SUBMISSION_DOWNLOADED: 'Kompatibilitätsbericht heruntergeladen',
+                    OVERRIDE_SAVED: 'Eigener Status gespeichert',
+                    OVERRIDE_REMOVED: 'Eigener Status entfernt',
+                    OVERRIDES_IMPORTED: (count) => `Eigene Status für ${count} Mod${count === 1 ? '' : 's'} importiert`,
+                    OVERRIDES_INVALID: (reason) => `Ungültige Datei mit eigenen Status: ${reason}`,
+                    MOD_LIST_FAILED: (reason) => `Modliste konnte nicht gelesen werden: ${reason}`,
+                    SOURCE_FAILED: (reason) => `Datenquelle konnte nicht geladen werden: ${reason}`,
+                    ENTER_SHEET_ID: 'Gib eine Tabellen-ID ein',
+                    ENTER_URL: 'Gib eine http(s)-URL ein',
+                    CHOOSE_FILE: 'Wähle eine Datei zum Hochladen',
+                    WEIGHTS_INVALID: 'Gewichte müssen null oder positive Zahlen sein',
+                    DEPENDENCIES_FAILED: (count) => `Benötigte Elemente für ${count} Mod${count === 1 ? '' : 's'} konnten nicht gelesen werden`,
+                    DEPENDENCIES_INVALID: (reason) => `Ungültige Abhängigkeitsliste: ${reason}`,
+                    ENTER_COLLECTION: 'Gib eine Sammlungs-ID oder Workshop-URL ein'
+                },
+                ERROR: {
+                    CACHE_INIT: 'Kompatibilitätsdaten konnten nicht geladen werden. Bitte lade die Seite neu.',
+                    NO_DATA: 'Keine Kompatibilitätsdaten verfügbar. Die Tabelle konnte nicht heruntergeladen werden und es ist nichts zwischengespeichert. Importiere einen Snapshot, um den Checker offline zu nutzen.',
+                    CACHE_UPDATE: 'Kompatibilitätsdaten konnten nicht aktualisiert werden. Bitte später erneut versuchen.',
+                    SHEET_LAYOUT: (version, missing) => `Tabellenaufbau geändert: Der Tabelle für RimWorld ${version} fehlt die Spalte ${missing.join(' oder ')}. Die Kompatibilitätsdaten dieser Version können erst nach einem Update des Skripts gelesen werden.`,
+                    COLLECTION_EMPTY: (id) => `Keine Mods in Sammlung ${id} gefunden. Ist sie eine öffentliche Workshop-Sammlung?`,
+                    NOT_JSON: 'keine JSON-Datei',
+                    SNAPSHOT_NO_DATA: 'Tabellendaten fehlen',
+                    SNAPSHOT_MALFORMED: 'Zeitstempel oder Tabellendaten fehlen',
+                    SETTINGS_MALFORMED: 'kein Einstellungsexport',
+                    OVERRIDES_MALFORMED: 'eigene Status fehlen oder sind fehlerhaft',
+                    INVALID_XML: 'Die Datei ist kein gültiges XML',
+                    DATA_FETCH_FAILED: (status) => `Daten konnten nicht abgerufen werden (Status: ${status})`,
+                    PAGE_FETCH_FAILED: (status) => `Seite konnte nicht abgerufen werden (Status: ${status})`,
+                    REQUEST_FAILED: (error) => `Anfrage fehlgeschlagen: ${error}`
+                },
+                UI: {
+                    PANEL_TITLE: 'RimWorld-Multiplayer-Kompatibilität',
+                    SHOWING_VERSION: (version) => `Kompatibilität für RimWorld <strong>${version}</strong>`,
+                    DEFAULT_SUFFIX: '(Standard)',
+                    DECLARES_VERSIONS: (versions) => `Diese Mod gibt RimWorld ${versions} an.`,
+                    DECLARES_NONE: 'Diese Mod gibt keine RimWorld-Versionen an.',
+                    USING_SHEET: (version, reason) => `Die Tabelle ${version} wird verwendet, weil ${reason}.`,
+                    SHOWING_SHEET: (version) => `Die ausgewählte Tabelle ${version} wird angezeigt.`,
+                    REASON_DEFAULT: 'deine Standardversion gesetzt ist',
+                    REASON_NO_TAGS: 'die Mod keine Versionen angibt und daher die neueste Tabelle gilt',
+                    REASON_NEWEST: (version) => `${version} die neueste von der Mod angegebene Version ist`,
+                    REASON_FALLTHROUGH: (missing, version) => `es für ${missing} noch keine Tabelle gibt und ${version} die neueste angegebene Version mit Tabelle ist`,
+                    REASON_UNCOVERED: 'keine Tabelle die angegebenen Versionen abdeckt und daher die neueste gilt',
+                    UPDATED_SINCE_VISIT: '🆕 Seit deinem letzten Besuch geändert',
+                    VIEW_IN_SPREADSHEET: 'In der Kompatibilitätstabelle ansehen',
+                    STATUS: (description) => `Status: ${description}`,
+                    NOTES: 'Hinweise:',
+                    NO_NOTES: 'Keine Hinweise vorhanden',
+                    NOT_FOUND: 'Die Mod-ID wurde in der Kompatibilitätstabelle nicht gefunden. Die Kompatibilität dieser Mod ist nicht getestet.',
+                    DIFFERENT_STEAM_ID: 'Diese Mod ist eventuell unter einer anderen Steam-ID gelistet (Neu-Upload, Fork oder fortgeführte Version).',
+                    LAST_UPDATED: (date, age) => `Zuletzt aktualisiert: ${date} (${age})`,
+                    OFFLINE_SUFFIX: ' · Offline-Modus',
+                    STALE_SUFFIX: ' · veraltet',
+                    REFRESH: '🔄 Daten aktualisieren',
+                    REFRESHING: 'Wird aktualisiert...',
+                    REPORT: '📝 Kompatibilität melden',
+                    ALL_VERSIONS: 'Alle Versionen',
+                    WATCH: '👁 Beobachten',
+                    WATCHING: '👁 Beobachtet',
+                    OVERRIDE: '✎ Eigener Status',
+                    VERSION_LABEL: 'RimWorld-Version:',
+                    SET_DEFAULT: '📌 Als Standard festlegen',
+                    CLEAR_DEFAULT: '❌ Standard entfernen',
+                    CHECK_MOD_LIST: '📂 Modliste prüfen',
+                    FILTER_SHOW: 'Anzeigen:',
+                    FILTER_DIM: 'Gefilterte Mods abblenden',
+                    FILTER_HIDE: 'Gefilterte Mods ausblenden',
+                    SUMMARY_TITLE: (version) => `Kompatibilitätsübersicht für RimWorld ${version}`,
+                    EXPORT_LABEL: 'Bericht exportieren:',
+                    COPY: '📋 Kopieren',
+                    DOWNLOAD: '💾 Herunterladen',
+                    NEVER: 'Nie',
+                    UNKNOWN: 'Unbekannt',
+                    UNKNOWN_STATUS: 'Unbekannter Status',
+                    NO_DATA: 'keine Daten',
+                    CLOSE: 'Schließen',
+                    CANCEL: 'Abbrechen',
+                    SAVE: '✔ Speichern',
+                    RESET_DEFAULTS: '↺ Auf Standard zurücksetzen',
+                    AGE_NEVER: 'nie aktualisiert',
+                    AGE_JUST_NOW: 'gerade eben',
+                    AGE_MINUTES: (minutes) => `${minutes} Min. alt`,
+                    AGE_HOURS: (hours) => `${hours} Std. alt`,
+                    AGE_DAYS: (days) => `${days} Tag${days === 1 ? '' : 'e'} alt`,
+                    AGE_OFFLINE: (age) => `Offline-Snapshot, ${age}`,
+                    AGE_STALE: (age) => `Daten ${age}`,
+                    INDICATOR_TITLE: (date) => `Kompatibilitätsdaten zuletzt aktualisiert: ${date}. Klicken für Einstellungen und Daten.`,
+                    MULTI_VERSION_NOTE: (versions, last) => `Hinweis: Diese Liste enthält Mods für ${versions} und ${last}`,
+                    BADGE_LABEL: (description, isOverride) => `Multiplayer-Status: ${description}${isOverride ? ' (eigener Status)' : ''}`,
+                    TOOLTIP_LABEL: (name) => `${name}: Multiplayer-Kompatibilität`,
+                    CHANGE_ADDED: (status) => `Hinzugefügt als ${status}`,
+                    CHANGE_REMOVED: (status) => `Entfernt (war ${status})`,
+                    CHANGE_NOTES: (notes) => `Hinweise bearbeitet: ${notes}`,
+                    EMPTY_NOTES: '(leer)',
+                    CHANGES_BADGE: (count) => `🆕 ${count} Kompatibilitätsänderung${count === 1 ? '' : 'en'}`,
+                    CHANGES_BADGE_TITLE: 'Zeigt, was sich seit deinem letzten Besuch an den Kompatibilitätsdaten geändert hat',
+                    CHANGES_TITLE: 'Änderungen der Kompatibilitätsdaten',
+                    CHANGE_KINDS: {
+                        statusChanged: 'Status geändert',
+                        added: 'Hinzugefügt',
+                        removed: 'Entfernt',
+                        notesChanged: 'Hinweise bearbeitet'
+                    },
+                    NO_CHANGES: 'Keine Änderungen seit deinem letzten Besuch.',
+                    MARK_SEEN: '✔ Als gesehen markieren',
+                    WATCH_TITLE: 'Benachrichtige mich, wenn sich der Multiplayer-Status dieser Mod ändert',
+                    UNWATCH_TITLE: 'Keine Benachrichtigungen mehr bei Statusänderungen',
+                    WATCHLIST_ALERTS: (count) => `🔔 ${count} Beobachtungs-Hinweis${count === 1 ? '' : 'e'}`,
+                    WATCHLIST_BADGE: (count) => `👁 Beobachtungsliste (${count})`,
+                    WATCHLIST_TITLE: 'Multiplayer-Beobachtungsliste',
+                    STATUS_CHANGES: '🔔 Statusänderungen',
+                    CLEAR_ALERTS: '✔ Hinweise löschen',
+                    WATCHED_MODS: (version, count) => `Beobachtete Mods für RimWorld ${version} (${count})`,
+                    NO_WATCHED: 'Noch keine Mods beobachtet. Nutze den Knopf 👁 Beobachten auf einer Mod-Seite oder im Symbol-Tooltip.',
+                    UNWATCH: 'Nicht mehr beobachten',
+                    PERSONAL_OVERRIDE: 'Eigener Status',
+                    PERSONAL: '✎ eigener',
+                    SHEET_SAYS: (label) => `(laut Tabelle: ${label})`,
+                    PRIVATE_NOTE: (note) => `Private Notiz: ${note}`,
+                    OVERRIDE_TITLE: 'Eigenen Status und private Notiz für diese Mod festlegen',
+                    OVERRIDE_DIALOG_TITLE: (name) => `Eigener Status: ${name}`,
+                    OVERRIDE_INFO: (version, description) => `RimWorld ${version}. Laut Tabelle: ${description}. Eigene Status werden nur in diesem Browser gespeichert.`,
+                    USE_SHEET_STATUS: 'Status aus der Tabelle verwenden',
+                    OVERRIDE_NOTE_PLACEHOLDER: 'Private Notiz (z. B. „Desync beim Öffnen des Forschungstabs“)',
+                    REMOVE_OVERRIDE: '🗑 Eigenen Status entfernen',
+                    REPORT_TITLE: 'Einen Kompatibilitätsbericht für die Betreuer der Tabelle verfassen',
+                    SUBMISSION_TITLE: (name) => `Kompatibilität melden: ${name}`,
+                    SUBMISSION_STATUS: 'Status im Multiplayer',
+                    SUBMISSION_VERSION: 'RimWorld-Version',
+                    SUBMISSION_NOTES: 'Hinweise',
+                    SUBMISSION_STEPS: 'Schritte zum Nachstellen',
+                    SUBMISSION_NOTES_PLACEHOLDER: 'Was im Multiplayer funktioniert und was nicht',
+                    SUBMISSION_STEPS_PLACEHOLDER: 'Ein Schritt pro Zeile, z. B.\nSpiel mit aktivierter Mod hosten\nMod-Einstellungen öffnen\nClient desynchronisiert',
+                    COPY_REPORT: '📋 Bericht kopieren',
+                    DOWNLOAD_REPORT: '💾 Bericht herunterladen',
+                    MATRIX_ROW_TITLE: (version) => `Kompatibilität für RimWorld ${version} anzeigen`,
+                    MOD_LIST_TITLE: 'Modliste prüfen',
+                    MOD_LIST_HELP: 'Füge RimWorlds ModsConfig.xml oder eine aus RimSort oder RimPy exportierte Modliste ein oder lade sie hoch. Einträge werden über Workshop-ID oder Paket-ID zugeordnet.',
+                    CHECK: '🔍 Prüfen',
+                    MOD_LIST_SUMMARY_TITLE: (version, count) => `Modlisten-Kompatibilität für RimWorld ${version} (${count} Mods)`,
+                    GUARD_TITLE: (status, version) => `${status} im Multiplayer für RimWorld ${version}`,
+                    ADD_ANYWAY: 'Trotzdem zur Sammlung hinzufügen',
+                    SETTINGS_TITLE: 'Einstellungen der MP-Kompatibilität',
+                    SETTINGS_REFRESH: 'Nach neuen Kompatibilitätsdaten suchen alle',
+                    REFRESH_HOURS: (hours) => `${hours} Stunden`,
+                    REFRESH_DAYS: (days) => `${days} Tag${days === 1 ? '' : 'e'}`,
+                    SETTINGS_DEFAULT_VERSION: 'Standard-RimWorld-Version',
+                    DEFAULT_VERSION_NONE: 'Keine (für jede Mod erkennen)',
+                    SETTINGS_ICONS: 'Statussymbole',
+                    SETTINGS_BADGE_POSITION: 'Symbolposition auf Workshop-Einträgen',
+                    SETTINGS_TOOLTIPS: 'Status-Tooltips',
+                    SETTINGS_LANGUAGE: 'Sprache',
+                    SETTINGS_COLORS: 'Statusfarben',
+                    SETTINGS_STATUS_TEXT: 'Textbeschriftung neben Statussymbolen anzeigen',
+                    SETTINGS_PAGES: 'Diese Seiten erweitern',
+                    SETTINGS_RESET_CONFIRM: 'Alle Einstellungen einschließlich der Standardversion auf Standard zurücksetzen?',
+                    EXPORT_SETTINGS: '💾 Einstellungen exportieren',
+                    IMPORT_SETTINGS: '📥 Einstellungen importieren',
+                    OPEN_DATA: '🗄 Daten, Quellen und eigene Status',
+                    LANGUAGE_AUTO: 'Automatisch (Steam- oder Browsersprache)',
+                    ICON_SETS: {
+                        emoji: 'Emoji',
+                        shapes: 'Formen',
+                        text: 'Text'
+                    },
+                    PALETTES: {
+                        default: 'Standard',
+                        colorblind: 'Farbenblind-tauglich'
+                    },
+                    BADGE_POSITIONS: {
+                        'top-right': 'Oben rechts',
+                        'top-left': 'Oben links',
+                        'bottom-right': 'Unten rechts',
+                        'bottom-left': 'Unten links'
+                    },
+                    PAGES: {
+                        workshop: 'Workshop-Übersichtsseiten',
+                        collections: 'Sammlungen',
+                        mods: 'Mod-Seiten'
+                    },
+                    TOOLTIP_TRIGGERS: {
+                        hover: 'Beim Überfahren anzeigen',
+                        click: 'Beim Klicken anzeigen',
+                        off: 'Nie anzeigen'
+                    },
+                    DATA_TITLE: 'Kompatibilitätsdaten',
+                    NO_DATA_LOADED: 'Es wurden noch keine Kompatibilitätsdaten geladen.',
+                    OFFLINE_MODE: 'Offline-Modus: nie herunterladen, nur zwischengespeicherte oder importierte Daten nutzen',
+                    EXPORT_SNAPSHOT: '💾 Snapshot exportieren',
+                    IMPORT_SNAPSHOT: '📥 Snapshot importieren',
+                    OVERRIDES_HEADING: (count) => `Eigene Status (${count} Mod${count === 1 ? '' : 's'})`,
+                    EXPORT_OVERRIDES: '💾 Eigene Status exportieren',
+                    IMPORT_OVERRIDES: '📥 Eigene Status importieren',
+                    DATA_SOURCE: 'Datenquelle',
+                    SOURCE_TYPES: {
+                        default: 'Google-Tabelle der Community',
+                        sheet: 'Eigene Google-Tabellen-ID',
+                        url: 'CSV- oder JSON-URL',
+                        file: 'Lokale CSV- oder JSON-Datei'
+                    },
+                    SOURCE_SHEET_ID: 'Tabellen-ID',
+                    SOURCE_SHEET_ID_PLACEHOLDER: 'Tabellen-ID aus docs.google.com/spreadsheets/d/<ID>/',
+                    SOURCE_URL: 'URL',
+                    SOURCE_FILE: 'Datei',
+                    SOURCE_FILE_CURRENT: (name) => `Datei (aktuell: ${name})`,
+                    SOURCE_VERSION: 'RimWorld-Version der CSV',
+                    SOURCE_VERSION_PLACEHOLDER: 'z. B. 1.5 (für CSV-Quellen)',
+                    USE_SOURCE: '✔ Diese Quelle verwenden',
+                    SCREEN_READER_MODS: 'Mods',
+                    LIMITED_VIA: (names) => `⛓ über ${names}`,
+                    OWN_STATUS: (status) => `Eigener Status der Mod: ${status}`,
+                    VERDICT_NO: '🚫 Nicht hosten',
+                    VERDICT_CAUTION: '⚠️ Mit Vorsicht hosten',
+                    VERDICT_HOST: '✅ Kann gehostet werden',
+                    RISK_SCORE: 'Risikowert:',
+                    RISK_SCORE_TITLE: 'Gewichteter Durchschnitt aller Mod-Status: 0 heißt, alles funktioniert, 100 heißt, nichts funktioniert',
+                    WEIGHTS: '⚙ Gewichte',
+                    BLOCKING_MODS: 'Blockierende Mods (funktionieren im Multiplayer nicht)',
+                    RISKY_MODS: 'Riskante Mods (große Probleme)',
+                    VIA_DEPENDENCY: (names) => `(über ${names})`,
+                    WEIGHTS_TITLE: 'Gewichte des Risikowerts',
+                    WEIGHTS_HELP: 'Wie viel jeder Status zum Risikowert einer Sammlung beiträgt. Das höchste Gewicht zählt als 100 % Risiko.',
+                    DEPENDENCIES_HEADING: (known, total) => `Abhängigkeiten (${known} von ${total} Mods geprüft)`,
+                    MISSING_DEPENDENCIES: (count) => `⚠️ ${count} benötigte Mod${count === 1 ? ' fehlt' : 's fehlen'} in dieser Sammlung:`,
+                    REQUIRED_BY: (names) => `— benötigt von ${names}`,
+                    NO_MISSING_DEPENDENCIES: '✅ Es fehlen keine bekannten benötigten Mods.',
+                    LIMITED_COUNT: (count) => `⛓ ${count} Mod${count === 1 ? ' ist' : 's sind'} schlechter eingestuft, weil eine Abhängigkeit einen schlechteren Multiplayer-Status hat.`,
+                    READ_DEPENDENCIES: '🔗 Benötigte Elemente aus dem Workshop lesen',
+                    RECHECK_DEPENDENCIES: '🔗 Abhängigkeiten erneut prüfen',
+                    READING_DEPENDENCIES: (done, total) => `Lese ${done}/${total}...`,
+                    SUPPLY_DEPENDENCIES: '📝 Abhängigkeitsliste angeben',
+                    SUPPLY_TITLE: 'Abhängigkeitsliste angeben',
+                    SUPPLY_HELP: 'Eine Zeile „modId: requiredId, requiredId“ pro Mod oder JSON wie {"modId": ["requiredId"]}. Angegebene Abhängigkeiten haben Vorrang vor Workshop-Seiten.',
+                    COLLECTION_ITEMS: 'Sammlungselemente:',
+                    COLLECTION_SORT_MODES: {
+                        original: 'Ursprüngliche Reihenfolge',
+                        worst: 'Schlechteste zuerst',
+                        best: 'Beste zuerst',
+                        grouped: 'Nach Status gruppiert'
+                    },
+                    RESTORE_ORDER: '↺ Ursprüngliche Reihenfolge wiederherstellen',
+                    GROUP_HEADING: (icon, label, count) => `${icon} ${label} (${count})`,
+                    COMPARE_WITH: '⇄ Mit einer anderen Sammlung vergleichen',
+                    COMPARE_TITLE: 'Sammlungen vergleichen',
+                    COLLECTION_ID_PLACEHOLDER: 'Sammlungs-ID oder URL',
+                    COMPARE: '⇄ Vergleichen',
+                    THIS_COLLECTION: 'Diese Sammlung',
+                    COLLECTION_FALLBACK: (id) => `Sammlung ${id}`,
+                    COLLECTION_A: (title) => `A: ${title}`,
+                    COLLECTION_B: (title) => `B: ${title}`,
+                    COMPARE_SUMMARY: (count, score) => `${count} Mods, Risikowert ${score}/100`,
+                    ONLY_IN_A: (title) => `Nur in A: ${title}`,
+                    ONLY_IN_B: (title) => `Nur in B: ${title}`,
+                    IN_BOTH: 'In beiden',
+                    NONE: 'Keine',
+                    LOADING_COLLECTION: 'Sammlung wird geladen...',
+                    POSSIBLE_MATCHES: 'Mögliche Treffer nach Name:',
+                    MATCH_CONFIDENCE: (percent, label) => `(${percent} % Übereinstimmung, ${label})`,
+                    UNRESOLVED_PACKAGE: (packageId) => `Paket-ID „${packageId}“ konnte keiner Workshop-ID zugeordnet werden. Füge die Workshop-ID zur Liste hinzu, um sie zu prüfen.`,
+                    UNRESOLVED_ENTRY: 'Keine Kompatibilitätsdaten für diesen Eintrag. Füge seine Workshop-ID zur Liste hinzu, um ihn zu prüfen.',
+                    INDICATOR: {
+                        loading: 'MP-Kompatibilität: Lädt...',
+                        success: 'MP-Kompatibilität: Bereit',
+                        error: 'MP-Kompatibilität: Fehler',
+                        expired: 'MP-Kompatibilität: Update verfügbar',
+                        stale: (age) => `MP-Kompatibilität: Veraltet (${age})`,
+                        offline: (age) => `MP-Kompatibilität: Offline (${age})`,
+                        layout: 'MP-Kompatibilität: Tabellenaufbau geändert'
+                    }
+                }
+            }
+        },
+        ru: {
+            STATUS: {
+                DESCRIPTIONS: {
+                    'untested': 'Не проверено - совместимость с мультиплеером не подтверждена',
+                    '1': 'Не работает - мод несовместим с мультиплеером',
+                    '2': 'Серьёзные проблемы - мод работает, но важные функции не работают в мультиплеере',
+                    '3': 'Незначительные проблемы - мод работает, но некоторые мелкие функции не работают в мультиплеере',
+                    '4': 'Полностью совместим - все функции корректно работают в мультиплеере'
+                },
+                SHORT_LABELS: {
+                    'untested': 'Не проверено',
+                    '1': 'Не работает',
+                    '2': 'Серьёзные проблемы',
+                    '3': 'Незначительные проблемы',
+                    '4': 'Полностью совместим'
+                }
+            },
+            MESSAGES: {
+                TOAST: {
+                    DEFAULT_SET: (version) => `Версия по умолчанию: ${version}`,
+                    DEFAULT_CLEARED: 'Версия по умолчанию сброшена',
+                    UPDATE_SUCCESS: 'Данные о совместимости обновлены!',
+                    UPDATE_ERROR: 'Не удалось обновить данные о совместимости. Попробуйте позже.',
+                    OFFLINE: 'Включён автономный режим. Отключите его, чтобы загрузить свежие данные.',
+                    EXPORT_COPIED: (format) => `Отчёт ${format} скопирован в буфер обмена`,
+                    EXPORT_DOWNLOADED: (format) => `Отчёт ${format} загружен`,
+                    SNAPSHOT_IMPORTED: 'Снимок совместимости импортирован',
+                    SNAPSHOT_INVALID: (reason) => `Неверный снимок совместимости: ${reason}`,
+                    FILE_SOURCE: 'Источник данных — локальный файл. Загрузите его снова, чтобы обновить данные.',
+                    SOURCE_CHANGED: (name) => `Источник данных изменён: ${name}`,
+                    STORAGE_FULL: 'Не удалось сохранить данные о совместимости: хранилище заполнено. Они будут загружены заново на следующей странице.',
+                    IMPORT_EMPTY: 'В вставленном списке не найдено модов',
+                    SETTINGS_SAVED: 'Настройки сохранены. Изменения страниц, значков и языка полностью применятся после перезагрузки.',
+                    SETTINGS_RESET: 'Настройки сброшены по умолчанию',
+                    SETTINGS_IMPORTED: 'Настройки импортированы',
+                    SETTINGS_INVALID: (reason) => `Неверный файл настроек: ${reason}`,
+                    SUBMISSION_COPIED: 'Отчёт о совместимости скопирован в буфер обмена',
+                    SUBMISSION_DOWNLOADED: 'Отчёт о совместимости загружен',
+                    OVERRIDE_SAVED: 'Личный статус сохранён',
+                    OVERRIDE_REMOVED: 'Личный статус удалён',
+                    OVERRIDES_IMPORTED: (count) => `Импортированы личные статусы модов: ${count}`,
+                    OVERRIDES_INVALID: (reason) => `Неверный файл личных статусов: ${reason}`,
+                    MOD_LIST_FAILED: (reason) => `Не удалось прочитать список модов: ${reason}`,
+                    SOURCE_FAILED: (reason) => `Не удалось загрузить источник данных: ${reason}`,
+                    ENTER_SHEET_ID: 'Введите ID таблицы',
+                    ENTER_URL: 'Введите http(s)-адрес',
+                    CHOOSE_FILE: 'Выберите файл для загрузки',
+                    WEIGHTS_INVALID: 'Веса должны быть нулём или положительными числами',
+                    DEPENDENCIES_FAILED: (count) => `Не удалось прочитать зависимости модов: ${count}`,
+                    DEPENDENCIES_INVALID: (reason) => `Неверный список зависимостей: ${reason}`,
+                    ENTER_COLLECTION: 'Введите ID коллекции или адрес в Мастерской'
+                },
+                ERROR: {
+                    CACHE_INIT: 'Не удалось загрузить данные о совместимости. Попробуйте обновить страницу.',
+                    NO_DATA: 'Нет данных о совместимости. Таблицу не удалось загрузить, а кэш пуст. Импортируйте снимок, чтобы пользоваться проверкой офлайн.',
+                    CACHE_UPDATE: 'Не удалось обновить данные о совместимости. Попробуйте позже.',
+                    SHEET_LAYOUT: (version, missing) => `Структура таблицы изменилась: в таблице для RimWorld ${version} нет столбца ${missing.join(' или ')}. Данные о совместимости для этой версии нельзя прочитать до обновления скрипта.`,
+                    COLLECTION_EMPTY: (id) => `В коллекции ${id} не найдено модов. Это публичная коллекция Мастерской?`,
+                    NOT_JSON: 'это не JSON-файл',
+                    SNAPSHOT_NO_DATA: 'нет данных таблицы',
+                    SNAPSHOT_MALFORMED: 'нет отметки времени или данных таблицы',
+                    SETTINGS_MALFORMED: 'это не экспорт настроек',
+                    OVERRIDES_MALFORMED: 'личные статусы отсутствуют или повреждены',
+                    INVALID_XML: 'Файл не является корректным XML',
+                    DATA_FETCH_FAILED: (status) => `Не удалось получить данные (статус: ${status})`,
+                    PAGE_FETCH_FAILED: (status) => `Не удалось получить страницу (статус: ${status})`,
+                    REQUEST_FAILED: (error) => `Ошибка запроса: ${error}`
+                },
+                UI: {
+                    PANEL_TITLE: 'Совместимость RimWorld с мультиплеером',
+                    SHOWING_VERSION: (version) => `Совместимость для RimWorld <strong>${version}</strong>`,
+                    DEFAULT_SUFFIX: '(по умолчанию)',
+                    DECLARES_VERSIONS: (versions) => `Мод заявляет поддержку RimWorld ${versions}.`,
+                    DECLARES_NONE: 'Мод не указывает версии RimWorld.',
+                    USING_SHEET: (version, reason) => `Используется таблица ${version}, потому что ${reason}.`,
+                    SHOWING_SHEET: (version) => `Показана выбранная таблица ${version}.`,
+                    REASON_DEFAULT: 'задана версия по умолчанию',
+                    REASON_NO_TAGS: 'мод не указывает версии, поэтому используется самая новая таблица',
+                    REASON_NEWEST: (version) => `${version} — самая новая версия, заявленная модом`,
+                    REASON_FALLTHROUGH: (missing, version) => `для ${missing} таблицы ещё нет, а ${version} — самая новая заявленная версия с таблицей`,
+                    REASON_UNCOVERED: 'ни одна таблица не покрывает заявленные версии, поэтому используется самая новая',
+                    UPDATED_SINCE_VISIT: '🆕 Изменилось с вашего последнего визита',
+                    VIEW_IN_SPREADSHEET: 'Открыть в таблице совместимости',
+                    STATUS: (description) => `Статус: ${description}`,
+                    NOTES: 'Примечания:',
+                    NO_NOTES: 'Примечаний нет',
+                    NOT_FOUND: 'ID мода не найден в таблице совместимости. Совместимость этого мода не проверялась.',
+                    DIFFERENT_STEAM_ID: 'Возможно, мод указан под другим Steam ID (перезалив, форк или продолжение).',
+                    LAST_UPDATED: (date, age) => `Обновлено: ${date} (${age})`,
+                    OFFLINE_SUFFIX: ' · автономный режим',
+                    STALE_SUFFIX: ' · устарело',
+                    REFRESH: '🔄 Обновить данные',
+                    REFRESHING: 'Обновление...',
+                    REPORT: '📝 Сообщить о совместимости',
+                    ALL_VERSIONS: 'Все версии',
+                    WATCH: '👁 Следить',
+                    WATCHING: '👁 Отслеживается',
+                    OVERRIDE: '✎ Свой статус',
+                    VERSION_LABEL: 'Версия RimWorld:',
+                    SET_DEFAULT: '📌 Сделать по умолчанию',
+                    CLEAR_DEFAULT: '❌ Сбросить',
+                    CHECK_MOD_LIST: '📂 Проверить список модов',
+                    FILTER_SHOW: 'Показать:',
+                    FILTER_DIM: 'Затемнять отфильтрованные',
+                    FILTER_HIDE: 'Скрывать отфильтрованные',
+                    SUMMARY_TITLE: (version) => `Сводка совместимости для RimWorld ${version}`,
+                    EXPORT_LABEL: 'Экспорт отчёта:',
+                    COPY: '📋 Копировать',
+                    DOWNLOAD: '💾 Скачать',
+                    NEVER: 'Никогда',
+                    UNKNOWN: 'Неизвестно',
+                    UNKNOWN_STATUS: 'Неизвестный статус',
+                    NO_DATA: 'нет данных',
+                    CLOSE: 'Закрыть',
+                    CANCEL: 'Отмена',
+                    SAVE: '✔ Сохранить',
+                    RESET_DEFAULTS: '↺ Сбросить по умолчанию',
+                    AGE_NEVER: 'ещё не обновлялись',
+                    AGE_JUST_NOW: 'только что',
+                    AGE_MINUTES: (minutes) => `${minutes} мин назад`,
+                    AGE_HOURS: (hours) => `${hours} ч назад`,
+                    AGE_DAYS: (days) => `${days} дн. назад`,
+                    AGE_OFFLINE: (age) => `офлайн-снимок, ${age}`,
+                    AGE_STALE: (age) => `данные: ${age}`,
+                    INDICATOR_TITLE: (date) => `Данные о совместимости обновлены: ${date}. Нажмите для настроек и данных.`,
+                    MULTI_VERSION_NOTE: (versions, last) => `Примечание: в списке есть моды для ${versions} и ${last}`,
+                    BADGE_LABEL: (description, isOverride) => `Статус в мультиплеере: ${description}${isOverride ? ' (личный статус)' : ''}`,
+                    TOOLTIP_LABEL: (name) => `${name}: совместимость с мультиплеером`,
+                    CHANGE_ADDED: (status) => `Добавлен как ${status}`,
+                    CHANGE_REMOVED: (status) => `Удалён (был ${status})`,
+                    CHANGE_NOTES: (notes) => `Примечания изменены: ${notes}`,
+                    EMPTY_NOTES: '(пусто)',
+                    CHANGES_BADGE: (count) => `🆕 Изменений совместимости: ${count}`,
+                    CHANGES_BADGE_TITLE: 'Показать, что изменилось в данных о совместимости с вашего прошлого просмотра',
+                    CHANGES_TITLE: 'Изменения данных о совместимости',
+                    CHANGE_KINDS: {
+                        statusChanged: 'Статус изменён',
+                        added: 'Добавлены',
+                        removed: 'Удалены',
+                        notesChanged: 'Примечания изменены'
+                    },
+                    NO_CHANGES: 'С прошлого просмотра изменений нет.',
+                    MARK_SEEN: '✔ Отметить как просмотренное',
+                    WATCH_TITLE: 'Сообщить, когда статус этого мода в мультиплеере изменится',
+                    UNWATCH_TITLE: 'Больше не сообщать об изменениях статуса',
+                    WATCHLIST_ALERTS: (count) => `🔔 Оповещений: ${count}`,
+                    WATCHLIST_BADGE: (count) => `👁 Отслеживаемые (${count})`,
+                    WATCHLIST_TITLE: 'Отслеживаемые моды',
+                    STATUS_CHANGES: '🔔 Изменения статуса',
+                    CLEAR_ALERTS: '✔ Очистить оповещения',
+                    WATCHED_MODS: (version, count) => `Отслеживаемые моды для RimWorld ${version} (${count})`,
+                    NO_WATCHED: 'Вы пока не отслеживаете моды. Нажмите 👁 Следить на странице мода или во всплывающей подсказке значка.',
+                    UNWATCH: 'Не отслеживать',
+                    PERSONAL_OVERRIDE: 'Личный статус',
+                    PERSONAL: '✎ личный',
+                    SHEET_SAYS: (label) => `(в таблице: ${label})`,
+                    PRIVATE_NOTE: (note) => `Личная заметка: ${note}`,
+                    OVERRIDE_TITLE: 'Задать свой статус и личную заметку для этого мода',
+                    OVERRIDE_DIALOG_TITLE: (name) => `Личный статус: ${name}`,
+                    OVERRIDE_INFO: (version, description) => `RimWorld ${version}. В таблице: ${description}. Личные статусы хранятся только в этом браузере.`,
+                    USE_SHEET_STATUS: 'Использовать статус из таблицы',
+                    OVERRIDE_NOTE_PLACEHOLDER: 'Личная заметка (например, «Рассинхрон при открытии вкладки исследований»)',
+                    REMOVE_OVERRIDE: '🗑 Удалить личный статус',
+                    REPORT_TITLE: 'Составить отчёт о совместимости для авторов таблицы',
+                    SUBMISSION_TITLE: (name) => `Отчёт о совместимости: ${name}`,
+                    SUBMISSION_STATUS: 'Статус в мультиплеере',
+                    SUBMISSION_VERSION: 'Версия RimWorld',
+                    SUBMISSION_NOTES: 'Примечания',
+                    SUBMISSION_STEPS: 'Шаги воспроизведения',
+                    SUBMISSION_NOTES_PLACEHOLDER: 'Что работает и что ломается в мультиплеере',
+                    SUBMISSION_STEPS_PLACEHOLDER: 'По одному шагу в строке, например:\nСоздать игру с включённым модом\nОткрыть настройки мода\nУ клиента рассинхрон',
+                    COPY_REPORT: '📋 Копировать отчёт',
+                    DOWNLOAD_REPORT: '💾 Скачать отчёт',
+                    MATRIX_ROW_TITLE: (version) => `Показать совместимость для RimWorld ${version}`,
+                    MOD_LIST_TITLE: 'Проверить список модов',
+                    MOD_LIST_HELP: 'Вставьте или загрузите ModsConfig.xml из RimWorld либо список модов, экспортированный из RimSort или RimPy. Записи сопоставляются по ID в Мастерской или ID пакета.',
+                    CHECK: '🔍 Проверить',
+                    MOD_LIST_SUMMARY_TITLE: (version, count) => `Совместимость списка модов для RimWorld ${version} (модов: ${count})`,
+                    GUARD_TITLE: (status, version) => `${status} в мультиплеере для RimWorld ${version}`,
+                    ADD_ANYWAY: 'Всё равно добавить в коллекцию',
+                    SETTINGS_TITLE: 'Настройки MP-совместимости',
+                    SETTINGS_REFRESH: 'Проверять новые данные о совместимости каждые',
+                    REFRESH_HOURS: (hours) => `${hours} ч`,
+                    REFRESH_DAYS: (days) => `${days} дн.`,
+                    SETTINGS_DEFAULT_VERSION: 'Версия RimWorld по умолчанию',
+                    DEFAULT_VERSION_NONE: 'Нет (определять для каждого мода)',
+                    SETTINGS_ICONS: 'Значки статуса',
+                    SETTINGS_BADGE_POSITION: 'Положение значка на элементах Мастерской',
+                    SETTINGS_TOOLTIPS: 'Подсказки статуса',
+                    SETTINGS_LANGUAGE: 'Язык',
+                    SETTINGS_COLORS: 'Цвета статусов',
+                    SETTINGS_STATUS_TEXT: 'Показывать подписи рядом со значками статуса',
+                    SETTINGS_PAGES: 'Улучшать эти страницы',
+                    SETTINGS_RESET_CONFIRM: 'Сбросить все настройки, включая версию по умолчанию?',
+                    EXPORT_SETTINGS: '💾 Экспорт настроек',
+                    IMPORT_SETTINGS: '📥 Импорт настроек',
+                    OPEN_DATA: '🗄 Данные, источники и личные статусы',
+                    LANGUAGE_AUTO: 'Автоматически (язык Steam или браузера)',
+                    ICON_SETS: {
+                        emoji: 'Эмодзи',
+                        shapes: 'Фигуры',
+                        text: 'Текст'
+                    },
+                    PALETTES: {
+                        default: 'Стандартная',
+                        colorblind: 'Для дальтоников'
+                    },
+                    BADGE_POSITIONS: {
+                        'top-right': 'Справа сверху',
+                        'top-left': 'Слева сверху',
+                        'bottom-right': 'Справа снизу',
+                        'bottom-left': 'Слева снизу'
+                    },
+                    PAGES: {
+                        workshop: 'Страницы обзора Мастерской',
+                        collections: 'Коллекции',
+                        mods: 'Страницы модов'
+                    },
+                    TOOLTIP_TRIGGERS: {
+                        hover: 'При наведении',
+                        click: 'По щелчку',
+                        off: 'Никогда'
+                    },
+                    DATA_TITLE: 'Данные о совместимости',
+                    NO_DATA_LOADED: 'Данные о совместимости ещё не загружены.',
+                    OFFLINE_MODE: 'Офлайн-режим: ничего не скачивать, использовать только сохранённые или импортированные данные',
+                    EXPORT_SNAPSHOT: '💾 Экспорт снимка',
+                    IMPORT_SNAPSHOT: '📥 Импорт снимка',
+                    OVERRIDES_HEADING: (count) => `Личные статусы (модов: ${count})`,
+                    EXPORT_OVERRIDES: '💾 Экспорт личных статусов',
+                    IMPORT_OVERRIDES: '📥 Импорт личных статусов',
+                    DATA_SOURCE: 'Источник данных',
+                    SOURCE_TYPES: {
+                        default: 'Таблица Google сообщества',
+                        sheet: 'Своя таблица Google (ID)',
+                        url: 'CSV- или JSON-адрес',
+                        file: 'Локальный CSV- или JSON-файл'
+                    },
+                    SOURCE_SHEET_ID: 'ID таблицы',
+                    SOURCE_SHEET_ID_PLACEHOLDER: 'ID таблицы из docs.google.com/spreadsheets/d/<ID>/',
+                    SOURCE_URL: 'Адрес',
+                    SOURCE_FILE: 'Файл',
+                    SOURCE_FILE_CURRENT: (name) => `Файл (текущий: ${name})`,
+                    SOURCE_VERSION: 'Версия RimWorld для CSV',
+                    SOURCE_VERSION_PLACEHOLDER: 'например, 1.5 (для CSV-источников)',
+                    USE_SOURCE: '✔ Использовать этот источник',
+                    SCREEN_READER_MODS: 'модов',
+                    LIMITED_VIA: (names) => `⛓ через ${names}`,
+                    OWN_STATUS: (status) => `Собственный статус: ${status}`,
+                    VERDICT_NO: '🚫 Не запускать',
+                    VERDICT_CAUTION: '⚠️ Запускать с осторожностью',
+                    VERDICT_HOST: '✅ Можно запускать',
+                    RISK_SCORE: 'Оценка риска:',
+                    RISK_SCORE_TITLE: 'Взвешенное среднее статусов всех модов: 0 — всё работает, 100 — ничего не работает',
+                    WEIGHTS: '⚙ Веса',
+                    BLOCKING_MODS: 'Блокирующие моды (не работают в мультиплеере)',
+                    RISKY_MODS: 'Рискованные моды (серьёзные проблемы)',
+                    VIA_DEPENDENCY: (names) => `(через ${names})`,
+                    WEIGHTS_TITLE: 'Веса оценки риска',
+                    WEIGHTS_HELP: 'Насколько каждый статус увеличивает оценку риска коллекции. Наибольший вес считается 100% риска.',
+                    DEPENDENCIES_HEADING: (known, total) => `Зависимости (проверено ${known} из ${total} модов)`,
+                    MISSING_DEPENDENCIES: (count) => `⚠️ В коллекции не хватает нужных модов (${count}):`,
+                    REQUIRED_BY: (names) => `— нужен для ${names}`,
+                    NO_MISSING_DEPENDENCIES: '✅ Все известные нужные моды на месте.',
+                    LIMITED_COUNT: (count) => `⛓ Модов с пониженной оценкой из-за зависимости с худшим статусом: ${count}`,
+                    READ_DEPENDENCIES: '🔗 Прочитать зависимости из Мастерской',
+                    RECHECK_DEPENDENCIES: '🔗 Перепроверить зависимости',
+                    READING_DEPENDENCIES: (done, total) => `Чтение ${done}/${total}...`,
+                    SUPPLY_DEPENDENCIES: '📝 Указать список зависимостей',
+                    SUPPLY_TITLE: 'Указать список зависимостей',
+                    SUPPLY_HELP: 'По строке «modId: requiredId, requiredId» на мод или JSON вида {"modId": ["requiredId"]}. Указанные зависимости важнее страниц Мастерской.',
+                    COLLECTION_ITEMS: 'Элементы коллекции:',
+                    COLLECTION_SORT_MODES: {
+                        original: 'Исходный порядок',
+                        worst: 'Сначала худшие',
+                        best: 'Сначала лучшие',
+                        grouped: 'По статусу'
+                    },
+                    RESTORE_ORDER: '↺ Вернуть исходный порядок',
+                    GROUP_HEADING: (icon, label, count) => `${icon} ${label} (${count})`,
+                    COMPARE_WITH: '⇄ Сравнить с другой коллекцией',
+                    COMPARE_TITLE: 'Сравнение коллекций',
+                    COLLECTION_ID_PLACEHOLDER: 'ID или адрес коллекции',
+                    COMPARE: '⇄ Сравнить',
+                    THIS_COLLECTION: 'Эта коллекция',
+                    COLLECTION_FALLBACK: (id) => `Коллекция ${id}`,
+                    COLLECTION_A: (title) => `A: ${title}`,
+                    COLLECTION_B: (title) => `B: ${title}`,
+                    COMPARE_SUMMARY: (count, score) => `модов: ${count}, оценка риска ${score}/100`,
+                    ONLY_IN_A: (title) => `Только в A: ${title}`,
+                    ONLY_IN_B: (title) => `Только в B: ${title}`,
+                    IN_BOTH: 'В обеих',
+                    NONE: 'Нет',
+                    LOADING_COLLECTION: 'Загрузка коллекции...',
+                    POSSIBLE_MATCHES: 'Возможные совпадения по названию:',
+                    MATCH_CONFIDENCE: (percent, label) => `(совпадение ${percent}%, ${label})`,
+                    UNRESOLVED_PACKAGE: (packageId) => `Не удалось сопоставить ID пакета «${packageId}» с ID в Мастерской. Добавьте ID из Мастерской в список, чтобы проверить мод.`,
+                    UNRESOLVED_ENTRY: 'Нет данных о совместимости для этой записи. Добавьте её ID из Мастерской в список, чтобы проверить.',
+                    INDICATOR: {
+                        loading: 'Совместимость MP: загрузка...',
+                        success: 'Совместимость MP: готово',
+                        error: 'Совместимость MP: ошибка',
+                        expired: 'Совместимость MP: есть обновление',
+                        stale: (age) => `Совместимость MP: устарело (${age})`,
+                        offline: (age) => `Совместимость MP: офлайн (${age})`,
+                        layout: 'Совместимость MP: структура таблицы изменилась'
+                    }
+                }
+            }
+        },
+        zh: {
+            STATUS: {
+                DESCRIPTIONS: {
+                    'untested': '未测试 - 尚未验证与多人游戏的兼容性',
+                    '1': '无法使用 - 该模组与多人游戏不兼容',
+                    '2': '严重问题 - 模组可以运行，但有重要功能在多人游戏中无法使用',
+                    '3': '轻微问题 - 模组可以运行，但有少量次要功能在多人游戏中无法使用',
+                    '4': '完全兼容 - 所有功能在多人游戏中均可正常使用'
+                },
+                SHORT_LABELS: {
+                    'untested': '未测试',
+                    '1': '无法使用',
+                    '2': '严重问题',
+                    '3': '轻微问题',
+                    '4': '完全兼容'
+                }
+            },
+            MESSAGES: {
+                TOAST: {
+                    DEFAULT_SET: (version) => `默认版本已设为 ${version}`,
+                    DEFAULT_CLEARED: '已清除默认版本',
+                    UPDATE_SUCCESS: '兼容性数据已更新！',
+                    UPDATE_ERROR: '兼容性数据更新失败，请稍后重试。',
+                    OFFLINE: '离线模式已开启。关闭后才能下载最新数据。',
+                    EXPORT_COPIED: (format) => `${format} 报告已复制到剪贴板`,
+                    EXPORT_DOWNLOADED: (format) => `${format} 报告已下载`,
+                    SNAPSHOT_IMPORTED: '兼容性快照已导入',
+                    SNAPSHOT_INVALID: (reason) => `无效的兼容性快照：${reason}`,
+                    FILE_SOURCE: '数据源是本地文件。请重新上传以更新数据。',
+                    SOURCE_CHANGED: (name) => `数据源已切换为 ${name}`,
+                    STORAGE_FULL: '存储空间已满，无法保存兼容性数据。下一个页面会重新下载。',
+                    IMPORT_EMPTY: '粘贴的列表中没有找到模组',
+                    SETTINGS_SAVED: '设置已保存。页面、图标和语言的更改在刷新后完全生效。',
+                    SETTINGS_RESET: '设置已恢复默认',
+                    SETTINGS_IMPORTED: '设置已导入',
+                    SETTINGS_INVALID: (reason) => `无效的设置文件：${reason}`,
+                    SUBMISSION_COPIED: '兼容性报告已复制到剪贴板',
+                    SUBMISSION_DOWNLOADED: '兼容性报告已下载',
+                    OVERRIDE_SAVED: '个人状态已保存',
+                    OVERRIDE_REMOVED: '个人状态已移除',
+                    OVERRIDES_IMPORTED: (count) => `已导入 ${count} 个模组的个人状态`,
+                    OVERRIDES_INVALID: (reason) => `无效的个人状态文件：${reason}`,
+                    MOD_LIST_FAILED: (reason) => `无法读取模组列表：${reason}`,
+                    SOURCE_FAILED: (reason) => `无法加载数据源：${reason}`,
+                    ENTER_SHEET_ID: '请输入表格 ID',
+                    ENTER_URL: '请输入 http(s) 地址',
+                    CHOOSE_FILE: '请选择要上传的文件',
+                    WEIGHTS_INVALID: '权重必须为零或正数',
+                    DEPENDENCIES_FAILED: (count) => `无法读取 ${count} 个模组的依赖项`,
+                    DEPENDENCIES_INVALID: (reason) => `无效的依赖列表：${reason}`,
+                    ENTER_COLLECTION: '请输入合集 ID 或创意工坊地址'
+                },
+                ERROR: {
+                    CACHE_INIT: '兼容性数据加载失败，请刷新页面重试。',
+                    NO_DATA: '没有可用的兼容性数据。表格无法下载，且本地没有缓存。导入快照即可离线使用。',
+                    CACHE_UPDATE: '兼容性数据更新失败，请稍后重试。',
+                    SHEET_LAYOUT: (version, missing) => `表格结构已变更：RimWorld ${version} 表格缺少 ${missing.join(' 或 ')} 列。在脚本更新之前无法读取该版本的兼容性数据。`,
+                    COLLECTION_EMPTY: (id) => `合集 ${id} 中没有找到模组。它是公开的创意工坊合集吗？`,
+                    NOT_JSON: '不是 JSON 文件',
+                    SNAPSHOT_NO_DATA: '缺少表格数据',
+                    SNAPSHOT_MALFORMED: '缺少时间戳或表格数据',
+                    SETTINGS_MALFORMED: '不是设置导出文件',
+                    OVERRIDES_MALFORMED: '个人状态缺失或格式错误',
+                    INVALID_XML: '该文件不是有效的 XML',
+                    DATA_FETCH_FAILED: (status) => `获取数据失败（状态：${status}）`,
+                    PAGE_FETCH_FAILED: (status) => `获取页面失败（状态：${status}）`,
+                    REQUEST_FAILED: (error) => `请求失败：${error}`
+                },
+                UI: {
+                    PANEL_TITLE: 'RimWorld 多人游戏兼容性',
+                    SHOWING_VERSION: (version) => `当前显示 RimWorld <strong>${version}</strong> 的兼容性`,
+                    DEFAULT_SUFFIX: '（默认）',
+                    DECLARES_VERSIONS: (versions) => `该模组声明支持 RimWorld ${versions}。`,
+                    DECLARES_NONE: '该模组未声明 RimWorld 版本。',
+                    USING_SHEET: (version, reason) => `使用 ${version} 表格，因为${reason}。`,
+                    SHOWING_SHEET: (version) => `显示所选的 ${version} 表格。`,
+                    REASON_DEFAULT: '你设置了默认版本',
+                    REASON_NO_TAGS: '该模组未声明版本，因此使用最新的表格',
+                    REASON_NEWEST: (version) => `${version} 是该模组声明的最新版本`,
+                    REASON_FALLTHROUGH: (missing, version) => `${missing} 暂无表格，而 ${version} 是有表格的最新声明版本`,
+                    REASON_UNCOVERED: '没有表格覆盖所声明的版本，因此使用最新的表格',
+                    UPDATED_SINCE_VISIT: '🆕 自上次查看后有更新',
+                    VIEW_IN_SPREADSHEET: '在兼容性表格中查看',
+                    STATUS: (description) => `状态：${description}`,
+                    NOTES: '备注：',
+                    NO_NOTES: '暂无备注',
+                    NOT_FOUND: '兼容性表格中找不到该模组 ID。请注意，该模组的兼容性尚未经过测试。',
+                    DIFFERENT_STEAM_ID: '该模组可能以其他 Steam ID 收录（重新上传、分支或续作版本）。',
+                    LAST_UPDATED: (date, age) => `最后更新：${date}（${age}）`,
+                    OFFLINE_SUFFIX: ' · 离线模式',
+                    STALE_SUFFIX: ' · 已过期',
+                    REFRESH: '🔄 刷新数据',
+                    REFRESHING: '正在刷新...',
+                    REPORT: '📝 报告兼容性',
+                    ALL_VERSIONS: '所有版本',
+                    WATCH: '👁 关注',
+                    WATCHING: '👁 已关注',
+                    OVERRIDE: '✎ 自定义状态',
+                    VERSION_LABEL: 'RimWorld 版本：',
+                    SET_DEFAULT: '📌 设为默认',
+                    CLEAR_DEFAULT: '❌ 清除默认',
+                    CHECK_MOD_LIST: '📂 检查模组列表',
+                    FILTER_SHOW: '显示：',
+                    FILTER_DIM: '淡化被筛选的模组',
+                    FILTER_HIDE: '隐藏被筛选的模组',
+                    SUMMARY_TITLE: (version) => `RimWorld ${version} 兼容性汇总`,
+                    EXPORT_LABEL: '导出报告：',
+                    COPY: '📋 复制',
+                    DOWNLOAD: '💾 下载',
+                    NEVER: '从未',
+                    UNKNOWN: '未知',
+                    UNKNOWN_STATUS: '未知状态',
+                    NO_DATA: '无数据',
+                    CLOSE: '关闭',
+                    CANCEL: '取消',
+                    SAVE: '✔ 保存',
+                    RESET_DEFAULTS: '↺ 恢复默认',
+                    AGE_NEVER: '从未更新',
+                    AGE_JUST_NOW: '刚刚',
+                    AGE_MINUTES: (minutes) => `${minutes} 分钟前`,
+                    AGE_HOURS: (hours) => `${hours} 小时前`,
+                    AGE_DAYS: (days) => `${days} 天前`,
+                    AGE_OFFLINE: (age) => `离线快照，${age}`,
+                    AGE_STALE: (age) => `数据 ${age}`,
+                    INDICATOR_TITLE: (date) => `兼容性数据最后更新：${date}。点击打开设置和数据。`,
+                    MULTI_VERSION_NOTE: (versions, last) => `注意：此列表包含 ${versions} 和 ${last} 的模组`,
+                    BADGE_LABEL: (description, isOverride) => `多人游戏状态：${description}${isOverride ? '（个人状态）' : ''}`,
+                    TOOLTIP_LABEL: (name) => `${name}：多人游戏兼容性`,
+                    CHANGE_ADDED: (status) => `新增，状态为 ${status}`,
+                    CHANGE_REMOVED: (status) => `已移除（原为 ${status}）`,
+                    CHANGE_NOTES: (notes) => `备注已修改：${notes}`,
+                    EMPTY_NOTES: '（空）',
+                    CHANGES_BADGE: (count) => `🆕 ${count} 项兼容性变更`,
+                    CHANGES_BADGE_TITLE: '显示自上次查看以来兼容性数据的变化',
+                    CHANGES_TITLE: '兼容性数据变更',
+                    CHANGE_KINDS: {
+                        statusChanged: '状态变更',
+                        added: '新增',
+                        removed: '移除',
+                        notesChanged: '备注修改'
+                    },
+                    NO_CHANGES: '自上次查看以来没有变化。',
+                    MARK_SEEN: '✔ 标记为已读',
+                    WATCH_TITLE: '此模组的多人游戏状态变化时提醒我',
+                    UNWATCH_TITLE: '不再提醒状态变化',
+                    WATCHLIST_ALERTS: (count) => `🔔 ${count} 条关注提醒`,
+                    WATCHLIST_BADGE: (count) => `👁 关注列表（${count}）`,
+                    WATCHLIST_TITLE: '多人游戏关注列表',
+                    STATUS_CHANGES: '🔔 状态变化',
+                    CLEAR_ALERTS: '✔ 清除提醒',
+                    WATCHED_MODS: (version, count) => `RimWorld ${version} 的关注模组（${count}）`,
+                    NO_WATCHED: '尚未关注任何模组。在模组页面或图标提示中使用 👁 关注 按钮。',
+                    UNWATCH: '取消关注',
+                    PERSONAL_OVERRIDE: '个人状态',
+                    PERSONAL: '✎ 个人',
+                    SHEET_SAYS: (label) => `（表格：${label}）`,
+                    PRIVATE_NOTE: (note) => `私人备注：${note}`,
+                    OVERRIDE_TITLE: '为此模组设置自己的状态和私人备注',
+                    OVERRIDE_DIALOG_TITLE: (name) => `个人状态：${name}`,
+                    OVERRIDE_INFO: (version, description) => `RimWorld ${version}。表格显示：${description}。个人状态仅保存在此浏览器中。`,
+                    USE_SHEET_STATUS: '使用表格中的状态',
+                    OVERRIDE_NOTE_PLACEHOLDER: '私人备注（例如“打开研究页面时不同步”）',
+                    REMOVE_OVERRIDE: '🗑 移除个人状态',
+                    REPORT_TITLE: '为表格维护者撰写兼容性报告',
+                    SUBMISSION_TITLE: (name) => `报告兼容性：${name}`,
+                    SUBMISSION_STATUS: '多人游戏中的状态',
+                    SUBMISSION_VERSION: 'RimWorld 版本',
+                    SUBMISSION_NOTES: '备注',
+                    SUBMISSION_STEPS: '复现步骤',
+                    SUBMISSION_NOTES_PLACEHOLDER: '多人游戏中哪些功能正常、哪些出错',
+                    SUBMISSION_STEPS_PLACEHOLDER: '每行一个步骤，例如\n启用模组后创建游戏\n打开模组设置\n客户端不同步',
+                    COPY_REPORT: '📋 复制报告',
+                    DOWNLOAD_REPORT: '💾 下载报告',
+                    MATRIX_ROW_TITLE: (version) => `显示 RimWorld ${version} 的兼容性`,
+                    MOD_LIST_TITLE: '检查模组列表',
+                    MOD_LIST_HELP: '粘贴或上传 RimWorld 的 ModsConfig.xml，或从 RimSort、RimPy 导出的模组列表。条目按创意工坊 ID 或包 ID 匹配。',
+                    CHECK: '🔍 检查',
+                    MOD_LIST_SUMMARY_TITLE: (version, count) => `RimWorld ${version} 的模组列表兼容性（${count} 个模组）`,
+                    GUARD_TITLE: (status, version) => `RimWorld ${version} 多人游戏中：${status}`,
+                    ADD_ANYWAY: '仍然添加到合集',
+                    SETTINGS_TITLE: '多人兼容性设置',
+                    SETTINGS_REFRESH: '检查新兼容性数据的间隔',
+                    REFRESH_HOURS: (hours) => `${hours} 小时`,
+                    REFRESH_DAYS: (days) => `${days} 天`,
+                    SETTINGS_DEFAULT_VERSION: '默认 RimWorld 版本',
+                    DEFAULT_VERSION_NONE: '无（按每个模组检测）',
+                    SETTINGS_ICONS: '状态图标',
+                    SETTINGS_BADGE_POSITION: '创意工坊条目上的图标位置',
+                    SETTINGS_TOOLTIPS: '状态提示',
+                    SETTINGS_LANGUAGE: '语言',
+                    SETTINGS_COLORS: '状态颜色',
+                    SETTINGS_STATUS_TEXT: '在状态图标旁显示文字',
+                    SETTINGS_PAGES: '增强以下页面',
+                    SETTINGS_RESET_CONFIRM: '将所有设置（包括默认版本）恢复为默认值？',
+                    EXPORT_SETTINGS: '💾 导出设置',
+                    IMPORT_SETTINGS: '📥 导入设置',
+                    OPEN_DATA: '🗄 数据、来源和个人状态',
+                    LANGUAGE_AUTO: '自动（Steam 或浏览器语言）',
+                    ICON_SETS: {
+                        emoji: '表情符号',
+                        shapes: '形状',
+                        text: '文字'
+                    },
+                    PALETTES: {
+                        default: '默认',
+                        colorblind: '色盲友好'
+                    },
+                    BADGE_POSITIONS: {
+                        'top-right': '右上',
+                        'top-left': '左上',
+                        'bottom-right': '右下',
+                        'bottom-left': '左下'
+                    },
+                    PAGES: {
+                        workshop: '创意工坊浏览页面',
+                        collections: '合集',
+                        mods: '模组页面'
+                    },
+                    TOOLTIP_TRIGGERS: {
+                        hover: '悬停时显示',
+                        click: '点击时显示',
+                        off: '从不显示'
+                    },
+                    DATA_TITLE: '兼容性数据',
+                    NO_DATA_LOADED: '尚未加载任何兼容性数据。',
+                    OFFLINE_MODE: '离线模式：从不下载，只使用缓存或导入的数据',
+                    EXPORT_SNAPSHOT: '💾 导出快照',
+                    IMPORT_SNAPSHOT: '📥 导入快照',
+                    OVERRIDES_HEADING: (count) => `个人状态（${count} 个模组）`,
+                    EXPORT_OVERRIDES: '💾 导出个人状态',
+                    IMPORT_OVERRIDES: '📥 导入个人状态',
+                    DATA_SOURCE: '数据源',
+                    SOURCE_TYPES: {
+                        default: '社区 Google 表格',
+                        sheet: '自定义 Google 表格 ID',
+                        url: 'CSV 或 JSON 地址',
+                        file: '本地 CSV 或 JSON 文件'
+                    },
+                    SOURCE_SHEET_ID: '表格 ID',
+                    SOURCE_SHEET_ID_PLACEHOLDER: 'docs.google.com/spreadsheets/d/<ID>/ 中的表格 ID',
+                    SOURCE_URL: '地址',
+                    SOURCE_FILE: '文件',
+                    SOURCE_FILE_CURRENT: (name) => `文件（当前：${name}）`,
+                    SOURCE_VERSION: 'CSV 对应的 RimWorld 版本',
+                    SOURCE_VERSION_PLACEHOLDER: '例如 1.5（用于 CSV 来源）',
+                    USE_SOURCE: '✔ 使用此来源',
+                    SCREEN_READER_MODS: '个模组',
+                    LIMITED_VIA: (names) => `⛓ 受 ${names} 限制`,
+                    OWN_STATUS: (status) => `自身状态：${status}`,
+                    VERDICT_NO: '🚫 不要开服',
+                    VERDICT_CAUTION: '⚠️ 谨慎开服',
+                    VERDICT_HOST: '✅ 可以开服',
+                    RISK_SCORE: '风险评分：',
+                    RISK_SCORE_TITLE: '所有模组状态的加权平均：0 表示全部正常，100 表示全部无法使用',
+                    WEIGHTS: '⚙ 权重',
+                    BLOCKING_MODS: '阻断性模组（多人游戏中无法使用）',
+                    RISKY_MODS: '高风险模组（严重问题）',
+                    VIA_DEPENDENCY: (names) => `（受 ${names} 限制）`,
+                    WEIGHTS_TITLE: '风险评分权重',
+                    WEIGHTS_HELP: '每种状态对合集风险评分的贡献。最高权重计为 100% 风险。',
+                    DEPENDENCIES_HEADING: (known, total) => `依赖项（已检查 ${known}/${total} 个模组）`,
+                    MISSING_DEPENDENCIES: (count) => `⚠️ 此合集缺少 ${count} 个必需模组：`,
+                    REQUIRED_BY: (names) => `— 被 ${names} 需要`,
+                    NO_MISSING_DEPENDENCIES: '✅ 没有缺少已知的必需模组。',
+                    LIMITED_COUNT: (count) => `⛓ ${count} 个模组因依赖项的多人游戏状态更差而被降级。`,
+                    READ_DEPENDENCIES: '🔗 从创意工坊读取必需物品',
+                    RECHECK_DEPENDENCIES: '🔗 重新检查依赖项',
+                    READING_DEPENDENCIES: (done, total) => `正在读取 ${done}/${total}...`,
+                    SUPPLY_DEPENDENCIES: '📝 提供依赖列表',
+                    SUPPLY_TITLE: '提供依赖列表',
+                    SUPPLY_HELP: '每个模组一行“modId: requiredId, requiredId”，或类似 {"modId": ["requiredId"]} 的 JSON。提供的依赖优先于创意工坊页面。',
+                    COLLECTION_ITEMS: '合集物品：',
+                    COLLECTION_SORT_MODES: {
+                        original: '原始顺序',
+                        worst: '最差优先',
+                        best: '最佳优先',
+                        grouped: '按状态分组'
+                    },
+                    RESTORE_ORDER: '↺ 恢复原始顺序',
+                    GROUP_HEADING: (icon, label, count) => `${icon} ${label}（${count}）`,
+                    COMPARE_WITH: '⇄ 与其他合集比较',
+                    COMPARE_TITLE: '比较合集',
+                    COLLECTION_ID_PLACEHOLDER: '合集 ID 或地址',
+                    COMPARE: '⇄ 比较',
+                    THIS_COLLECTION: '此合集',
+                    COLLECTION_FALLBACK: (id) => `合集 ${id}`,
+                    COLLECTION_A: (title) => `A：${title}`,
+                    COLLECTION_B: (title) => `B：${title}`,
+                    COMPARE_SUMMARY: (count, score) => `${count} 个模组，风险评分 ${score}/100`,
+                    ONLY_IN_A: (title) => `仅在 A 中：${title}`,
+                    ONLY_IN_B: (title) => `仅在 B 中：${title}`,
+                    IN_BOTH: '两者都有',
+                    NONE: '无',
+                    LOADING_COLLECTION: '正在加载合集...',
+                    POSSIBLE_MATCHES: '按名称可能匹配：',
+                    MATCH_CONFIDENCE: (percent, label) => `（${percent}% 匹配，${label}）`,
+                    UNRESOLVED_PACKAGE: (packageId) => `无法将包 ID“${packageId}”解析为创意工坊 ID。请在列表中添加创意工坊 ID 以进行检查。`,
+                    UNRESOLVED_ENTRY: '此条目没有兼容性数据。请在列表中添加其创意工坊 ID 以进行检查。',
+                    INDICATOR: {
+                        loading: '多人兼容性：加载中...',
+                        success: '多人兼容性：就绪',
+                        error: '多人兼容性：错误',
+                        expired: '多人兼容性：有可用更新',
+                        stale: (age) => `多人兼容性：已过期（${age}）`,
+                        offline: (age) => `多人兼容性：离线（${age}）`,
+                        layout: '多人兼容性：表格结构已变更'
+                    }
+                }
             }
         }
     };
 
+    /**
+     * Picks the UI language: the user's setting, then Steam's language (cookie or the
+     * page's lang attribute), then the browser's languages. Falls back to English.
+     */
+    function detectLocale() {
+        const language = getSettings().language;
+        if (language !== 'auto') return language;
+
+        const steamLanguage = document.cookie.match(/(?:^|;\s*)Steam_Language=([^;]+)/)?.[1];
+        const candidates = [
+            CONSTANTS.I18N.STEAM_LANGUAGES[steamLanguage],
+            document.documentElement.lang,
+            ...(navigator.languages || [navigator.language])
+        ];
+        for (const candidate of candidates) {
+            const code = candidate?.toLowerCase().split('-')[0];
+            if (code === 'en' || TRANSLATIONS[code]) return code;
+        }
+        return 'en';
+    }
+
+    function applyTranslations(target, catalog) {
+        Object.entries(catalog || {}).forEach(([key, value]) => {
+            if (value && typeof value === 'object' && target[key] && typeof target[key] === 'object') {
+                applyTranslations(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+    }
+
+    applyTranslations(CONSTANTS, TRANSLATIONS[detectLocale()]);
+
     let currentInfoPanel = null;
+    let elementIdCount = 0;
+    const collectionAnchors = new WeakMap();
+    let currentModChanges = [];
 
     // Utility functions for page type checking
     function isRimworldModPage() {
@@ -132,6 +1558,167 @@
         return urlParams.get('id');
     }
 
+    /**
+     * Parses a RimWorld version such as "1.5" into numeric parts, or returns null.
+     */
+    function parseVersion(text) {
+        const match = String(text).trim().match(/^v?(\d+)\.(\d+)$/);
+        return match ? [parseInt(match[1], 10), parseInt(match[2], 10)] : null;
+    }
+
+    /**
+     * Orders version strings newest first, comparing major and minor numerically (1.10 > 1.9).
+     */
+    function compareVersionsDescending(a, b) {
+        const [aMajor, aMinor] = parseVersion(a) || [0, 0];
+        const [bMajor, bMinor] = parseVersion(b) || [0, 0];
+        return bMajor - aMajor || bMinor - aMinor;
+    }
+
+    /**
+     * Returns the version sheets discovered from the spreadsheet, newest first,
+     * falling back to the hardcoded list until discovery has succeeded once.
+     */
+    function getSheets() {
+        const discovered = GM_getValue(getNamespacedKey(CONSTANTS.SPREADSHEET.SHEETS_KEY), null);
+        if (discovered?.sheets?.length) return discovered.sheets;
+
+        const source = getDataSource();
+        if (source.type === 'default') return CONSTANTS.SPREADSHEET.FALLBACK_SHEETS;
+        // The community sheet's tab gids don't exist in a custom sheet, so read its first tab
+        if (source.type === 'sheet') return [{ ...createCustomSheet(source.version), gid: '0' }];
+        return [createCustomSheet(source.version)];
+    }
+
+    /**
+     * Helper functions for the configurable data source. Every source other than the
+     * community sheet stores its cache and sheet list under its own namespace.
+     */
+    function getDataSource() {
+        return { type: 'default', ...GM_getValue(CONSTANTS.DATA_SOURCE.KEY, {}) };
+    }
+
+    function getSourceNamespace(source = getDataSource()) {
+        switch (source.type) {
+            case 'sheet':
+                return `sheet:${source.sheetId}`;
+            case 'url':
+                return `url:${source.url}`;
+            case 'file':
+                return `file:${source.fileName}`;
+            default:
+                return null;
+        }
+    }
+
+    function getNamespacedKey(baseKey, source = getDataSource()) {
+        const namespace = getSourceNamespace(source);
+        return namespace ? `${baseKey}:${namespace}` : baseKey;
+    }
+
+    /**
+     * Returns the Google spreadsheet ID of the current source, or null for URL and file sources.
+     */
+    function getSpreadsheetId() {
+        const source = getDataSource();
+        if (source.type === 'sheet') return source.sheetId;
+        return source.type === 'default' ? CONSTANTS.SPREADSHEET.ID : null;
+    }
+
+    function createCustomSheet(versionLabel) {
+        const version = versionLabel?.trim() || CONSTANTS.DATA_SOURCE.DEFAULT_CUSTOM_VERSION;
+        return {
+            version,
+            gid: CONSTANTS.DATA_SOURCE.CUSTOM_GID,
+            versions: (version.match(/\b\d+\.\d+\b/g) || []).filter(v => parseVersion(v))
+        };
+    }
+
+    /**
+     * Turns spreadsheet tab names into version sheets. Tabs whose name holds no
+     * RimWorld version (e.g. a legend or info tab) are skipped.
+     */
+    function parseSheetTabs(tabs) {
+        return tabs
+            .map(({ gid, name }) => {
+                const versions = [...new Set(name.match(/\b\d+\.\d+\b/g) || [])]
+                    .filter(version => parseVersion(version))
+                    .sort(compareVersionsDescending)
+                    .reverse();
+                if (!versions.length) return null;
+
+                const sheet = { version: versions.join('/'), gid, versions, name };
+                if (versions.length > 1) {
+                    sheet.note = CONSTANTS.MESSAGES.UI.MULTI_VERSION_NOTE(versions.slice(0, -1).join(', '), versions[versions.length - 1]);
+                }
+                return sheet;
+            })
+            .filter(Boolean)
+            .sort((a, b) => compareVersionsDescending(a.versions[a.versions.length - 1], b.versions[b.versions.length - 1]));
+    }
+
+    function getModTitle() {
+        return document.querySelector('.workshopItemTitle')?.textContent.trim() || null;
+    }
+
+    function formatAge(timestamp) {
+        if (!timestamp) return CONSTANTS.MESSAGES.UI.AGE_NEVER;
+
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return CONSTANTS.MESSAGES.UI.AGE_JUST_NOW;
+        if (minutes < 60) return CONSTANTS.MESSAGES.UI.AGE_MINUTES(minutes);
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return CONSTANTS.MESSAGES.UI.AGE_HOURS(hours);
+        return CONSTANTS.MESSAGES.UI.AGE_DAYS(Math.floor(hours / 24));
+    }
+
+    function truncateText(text, maxLength) {
+        if (!text || text.length <= maxLength) return text || '';
+        return text.slice(0, maxLength - 1).trimEnd() + '…';
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    function normalizeModName(name) {
+        let normalized = (name || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\[[^\]]*\]/g, ' ')
+            .replace(/\bv?\d+(\.\d+)+\b/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ');
+        CONSTANTS.FUZZY_MATCH.NOISE_WORDS.forEach(word => {
+            normalized = normalized.replace(new RegExp(`\\b${word}\\b`, 'g'), ' ');
+        });
+        return normalized.replace(/\s+/g, ' ').trim();
+    }
+
+    function getBigrams(text) {
+        const bigrams = new Map();
+        const compact = text.replace(/\s+/g, ' ');
+        for (let i = 0; i < compact.length - 1; i++) {
+            const bigram = compact.slice(i, i + 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+        return bigrams;
+    }
+
+    /**
+     * Sørensen–Dice coefficient of two bigram multisets, from 0 (unrelated) to 1 (identical).
+     */
+    function diceCoefficient(a, b) {
+        let total = 0;
+        let shared = 0;
+        a.forEach(count => total += count);
+        b.forEach((count, bigram) => {
+            total += count;
+            shared += Math.min(count, a.get(bigram) || 0);
+        });
+        return total ? (2 * shared) / total : 0;
+    }
+
     function showToast(message, isError = false) {
         const toast = document.createElement('div');
         toast.style.cssText = `
@@ -152,6 +1739,230 @@
             setTimeout(() => toast.remove(), 300);
         }, CONSTANTS.UI.TOAST_DURATION);
     }
+    class CsvParseError extends Error {
+        constructor(message, line, column) {
+            super(`${message} (line ${line}, column ${column})`);
+            this.name = 'CsvParseError';
+            this.line = line;
+            this.column = column;
+        }
+    }
+
+    /**
+     * Incremental RFC 4180 CSV parser. Feed text with push() as it arrives and call
+     * end() to flush the final record. Quoted fields may contain commas, doubled
+     * quotes and line breaks; CRLF and LF record separators are both accepted.
+     * Malformed input raises a CsvParseError instead of producing shifted columns.
+     */
+    class CsvParser {
+        constructor() {
+            this.rows = [];
+            this.row = [];
+            this.field = '';
+            // FIELD_START | UNQUOTED | QUOTED | QUOTE_IN_QUOTED | AFTER_CR
+            this.state = 'FIELD_START';
+            this.line = 1;
+            this.column = 0;
+        }
+
+        push(chunk) {
+            for (const char of chunk) {
+                this.column++;
+                this.consume(char);
+                if (char === '\n') {
+                    this.line++;
+                    this.column = 0;
+                }
+            }
+            return this;
+        }
+
+        consume(char) {
+            switch (this.state) {
+                case 'AFTER_CR':
+                    this.state = 'FIELD_START';
+                    if (char === '\n') return;
+                    this.consume(char);
+                    return;
+                case 'FIELD_START':
+                    if (char === '"') {
+                        this.state = 'QUOTED';
+                    } else {
+                        this.state = 'UNQUOTED';
+                        this.consumeUnquoted(char);
+                    }
+                    return;
+                case 'UNQUOTED':
+                    this.consumeUnquoted(char);
+                    return;
+                case 'QUOTED':
+                    if (char === '"') {
+                        this.state = 'QUOTE_IN_QUOTED';
+                    } else {
+                        this.field += char;
+                    }
+                    return;
+                case 'QUOTE_IN_QUOTED':
+                    if (char === '"') {
+                        this.field += '"';
+                        this.state = 'QUOTED';
+                    } else if (char === ',' || char === '\r' || char === '\n') {
+                        this.consumeUnquoted(char);
+                    } else {
+                        throw new CsvParseError('Unexpected character after closing quote', this.line, this.column);
+                    }
+                    return;
+            }
+        }
+
+        consumeUnquoted(char) {
+            if (char === ',') {
+                this.endField();
+                this.state = 'FIELD_START';
+            } else if (char === '\r' || char === '\n') {
+                this.endRecord();
+                this.state = char === '\r' ? 'AFTER_CR' : 'FIELD_START';
+            } else if (char === '"') {
+                throw new CsvParseError('Unexpected quote in unquoted field', this.line, this.column);
+            } else {
+                this.field += char;
+                this.state = 'UNQUOTED';
+            }
+        }
+
+        endField() {
+            this.row.push(this.field);
+            this.field = '';
+        }
+
+        endRecord() {
+            this.endField();
+            this.rows.push(this.row);
+            this.row = [];
+        }
+
+        end() {
+            if (this.state === 'QUOTED') {
+                throw new CsvParseError('Unterminated quoted field', this.line, this.column);
+            }
+            // A trailing line break does not start another record
+            if (this.state !== 'AFTER_CR' && (this.state !== 'FIELD_START' || this.row.length > 0)) {
+                this.endRecord();
+            }
+            this.state = 'FIELD_START';
+            return this.rows;
+        }
+    }
+
+    /**
+     * Versioned persistence for the compatibility cache in userscript storage, which
+     * survives Steam's site data being cleared and doesn't count against its quota.
+     * Records are { schemaVersion, timestamp, data, index }.
+     */
+    const CACHE_MIGRATIONS = {
+        // 1 -> 2: legacy localStorage records may lack the lookup index
+        1: (record) => ({ ...record, index: record.index || null })
+    };
+
+    class CacheStore {
+        constructor(storageKey, migrateLegacy) {
+            this.storageKey = storageKey;
+            this.migrateLegacy = migrateLegacy;
+        }
+
+        load() {
+            let record = null;
+            try {
+                record = GM_getValue(this.storageKey, null) || (this.migrateLegacy ? this.loadLegacy() : null);
+            } catch (error) {
+                console.error('Stored compatibility data is unreadable, discarding it:', error);
+                this.clear();
+                return null;
+            }
+            if (!record) return null;
+
+            if (record.schemaVersion > CONSTANTS.CACHE.SCHEMA_VERSION) {
+                console.warn(`Stored compatibility data uses newer schema ${record.schemaVersion}, discarding it`);
+                this.clear();
+                return null;
+            }
+
+            const originalVersion = record.schemaVersion;
+            while (record.schemaVersion < CONSTANTS.CACHE.SCHEMA_VERSION) {
+                const migrate = CACHE_MIGRATIONS[record.schemaVersion];
+                if (typeof migrate !== 'function') {
+                    console.warn(`No migration for compatibility data schema ${record.schemaVersion}, discarding it`);
+                    this.clear();
+                    return null;
+                }
+                record = { ...migrate(record), schemaVersion: record.schemaVersion + 1 };
+            }
+
+            if (!this.isValid(record)) {
+                console.error('Stored compatibility data is corrupt, discarding it');
+                this.clear();
+                return null;
+            }
+
+            if (record.schemaVersion !== originalVersion) {
+                this.save(record);
+            }
+            return record;
+        }
+
+        /**
+         * Reads the pre-schema localStorage cache once and removes it, so the data
+         * moves to userscript storage on the first run after an update.
+         */
+        loadLegacy() {
+            const { DATA, TIMESTAMP, INDEX } = CONSTANTS.CACHE.LEGACY_KEYS;
+            const data = localStorage.getItem(DATA);
+            const timestamp = localStorage.getItem(TIMESTAMP);
+            const index = localStorage.getItem(INDEX);
+            if (!data || !timestamp) return null;
+
+            try {
+                return {
+                    schemaVersion: 1,
+                    data: JSON.parse(data),
+                    timestamp: parseInt(timestamp),
+                    index: index ? JSON.parse(index) : null
+                };
+            } finally {
+                Object.values(CONSTANTS.CACHE.LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+            }
+        }
+
+        isValid(record) {
+            return Number.isFinite(record.timestamp)
+                && record.data !== null
+                && typeof record.data === 'object'
+                && Object.values(record.data).every(rows => Array.isArray(rows) && rows.every(Array.isArray));
+        }
+
+        /**
+         * Returns false instead of throwing when the record can't be written,
+         * e.g. because storage is full. The in-memory cache stays usable.
+         */
+        save(record) {
+            try {
+                GM_setValue(this.storageKey, { ...record, schemaVersion: CONSTANTS.CACHE.SCHEMA_VERSION });
+                return true;
+            } catch (error) {
+                console.error('Failed to save compatibility data:', error);
+                return false;
+            }
+        }
+
+        clear() {
+            try {
+                GM_setValue(this.storageKey, null);
+            } catch (error) {
+                console.error('Failed to clear compatibility data:', error);
+            }
+        }
+    }
+
     /**
      * Manages compatibility data caching and updates.
      * Handles data fetching, parsing, and storage for mod compatibility information.
@@ -159,9 +1970,14 @@
     class CompatibilityCache {
         constructor() {
             this.data = null;
+            this.layouts = {};
+            this.layoutErrors = {};
+            this.index = {};
+            this.nameIndex = {};
             this.timestamp = null;
             this.isLoading = false;
             this.initialized = false;
+            this.store = this.createStore();
             this.initializeCache();
         }
 
@@ -169,70 +1985,293 @@
             this.isLoading = true;
 
             try {
-                const cachedData = localStorage.getItem(CONSTANTS.CACHE.KEY);
-                const cachedTimestamp = localStorage.getItem(CONSTANTS.CACHE.TIMESTAMP_KEY);
-
-                if (cachedData && cachedTimestamp) {
-                    this.data = JSON.parse(cachedData);
-                    this.timestamp = parseInt(cachedTimestamp);
-                    this.initialized = true;
-
-                    if (this.isExpired()) {
+                if (this.loadFromStore()) {
+                    if (this.isExpired() && !this.isOffline()) {
                         await this.refreshCache();
                     }
+                } else if (this.isOffline()) {
+                    this.updateStatusIndicator('error');
+                    this.initialized = true;
                 } else {
                     await this.refreshCache();
                 }
             } catch (error) {
                 console.error('Cache initialization failed:', error);
-                this.updateStatusIndicator('error');
+                this.updateStatusIndicator(this.data ? 'stale' : 'error');
                 this.initialized = true;
             } finally {
                 this.isLoading = false;
             }
         }
 
-        isExpired() {
-            return !this.timestamp || (Date.now() - this.timestamp > CONSTANTS.CACHE.DURATION);
+        /**
+         * Loads the store's record into memory. Returns false when nothing is stored.
+         */
+        loadFromStore() {
+            const cached = this.store.load();
+            if (!cached) return false;
+
+            this.data = cached.data;
+            this.timestamp = cached.timestamp;
+            this.detectLayouts();
+            this.loadIndex(cached.index);
+            this.initialized = true;
+            this.updateStatusIndicator(this.getReadyStatus());
+            return true;
         }
 
-        async refreshCache() {
-            if (this.isLoading && this.initialized) return;
+        createStore() {
+            // Only the community sheet's namespace inherits the pre-schema localStorage cache
+            return new CacheStore(getNamespacedKey(CONSTANTS.CACHE.STORAGE_KEY), !getSourceNamespace());
+        }
 
-            this.isLoading = true;
-            this.updateStatusIndicator('loading');
+        /**
+         * Points the cache at another data source and loads that source's own cached
+         * data, downloading it when there is none. Throws, keeping the previous source
+         * and its data, when nothing could be loaded.
+         */
+        async switchSource(source, fileContent = null) {
+            const previousSource = GM_getValue(CONSTANTS.DATA_SOURCE.KEY, {});
+            const previousState = {
+                data: this.data,
+                timestamp: this.timestamp,
+                layouts: this.layouts,
+                layoutErrors: this.layoutErrors,
+                index: this.index,
+                nameIndex: this.nameIndex,
+                initialized: this.initialized,
+                store: this.store
+            };
+
+            // Loading reads the source from storage, so it is written first and rolled back on failure
+            GM_setValue(CONSTANTS.DATA_SOURCE.KEY, source);
+            this.data = null;
+            this.timestamp = null;
+            this.layouts = {};
+            this.layoutErrors = {};
+            this.index = {};
+            this.nameIndex = {};
+            this.initialized = false;
+            this.store = this.createStore();
 
             try {
-                const allData = {};
-                for (const sheet of CONSTANTS.SPREADSHEET.SHEETS) {
-                    const url = `https://docs.google.com/spreadsheets/d/${CONSTANTS.SPREADSHEET.ID}/export?format=csv&gid=${sheet.gid}`;
-                    const response = await this.fetchSheet(url);
-                    allData[sheet.gid] = this.parseCSV(response);
+                if (fileContent !== null) {
+                    this.data = this.parseSourceContent(fileContent, source);
+                    this.timestamp = Date.now();
+                    this.detectLayouts();
+                    this.buildIndex();
+                    this.initialized = true;
+                    this.persist();
+                } else if (this.loadFromStore()) {
+                    if (this.isExpired() && !this.isOffline()) {
+                        // The stored copy is still usable if it can't be refreshed right now
+                        await this.refreshCache().catch(error => console.error('Cache refresh failed:', error));
+                    }
+                } else {
+                    await this.refreshCache();
                 }
+            } catch (error) {
+                GM_setValue(CONSTANTS.DATA_SOURCE.KEY, previousSource);
+                Object.assign(this, previousState);
+                this.updateStatusIndicator(this.data ? this.getReadyStatus() : 'error');
+                throw error;
+            }
 
-                this.data = allData;
-                this.timestamp = Date.now();
-                this.initialized = true;
+            this.updateStatusIndicator(this.getReadyStatus());
+        }
 
-                localStorage.setItem(CONSTANTS.CACHE.KEY, JSON.stringify(this.data));
-                localStorage.setItem(CONSTANTS.CACHE.TIMESTAMP_KEY, this.timestamp.toString());
+        /**
+         * Parses the body of a URL or file source. JSON must use the snapshot format
+         * written by exportSnapshot(); anything else is read as a single CSV sheet.
+         * The source's sheet list is stored alongside.
+         */
+        parseSourceContent(text, source) {
+            let data;
+            let sheets;
+
+            if (text.trim().startsWith('{')) {
+                const content = JSON.parse(text);
+                if (!content || !this.store.isValid({ timestamp: Date.now(), data: content.data })) {
+                    throw new Error(CONSTANTS.MESSAGES.TOAST.SNAPSHOT_INVALID(CONSTANTS.MESSAGES.ERROR.SNAPSHOT_NO_DATA));
+                }
+                data = content.data;
+                sheets = Array.isArray(content.sheets) && content.sheets.length
+                    ? content.sheets
+                    : Object.keys(data).map(gid => ({ ...createCustomSheet(gid), gid }));
+            } else {
+                data = { [CONSTANTS.DATA_SOURCE.CUSTOM_GID]: this.parseCSV(text) };
+                sheets = [createCustomSheet(source.version)];
+            }
 
-                this.updateStatusIndicator('success');
-            } catch (error) {
-                console.error('Cache refresh failed:', error);
-                this.updateStatusIndicator('error');
-                throw error;
-            } finally {
-                this.isLoading = false;
+            GM_setValue(getNamespacedKey(CONSTANTS.SPREADSHEET.SHEETS_KEY, source), { timestamp: Date.now(), sheets });
+            return data;
+        }
+
+        persist() {
+            const saved = this.store.save({
+                data: this.data,
+                timestamp: this.timestamp,
+                index: this.index
+            });
+            if (!saved) {
+                showToast(CONSTANTS.MESSAGES.TOAST.STORAGE_FULL, true);
             }
         }
 
-        createStatusIndicator() {
-            const indicator = document.createElement('div');
-            indicator.id = 'mp-compatibility-status';
-            indicator.style.cssText = `
-            display: inline-flex;
-            align-items: center;
+        isExpired() {
+            return !this.timestamp || (Date.now() - this.timestamp > getSettings().refreshHours * 60 * 60 * 1000);
+        }
+
+        isOffline() {
+            return GM_getValue(CONSTANTS.CACHE.OFFLINE_KEY, false);
+        }
+
+        setOffline(offline) {
+            GM_setValue(CONSTANTS.CACHE.OFFLINE_KEY, offline);
+            this.updateStatusIndicator(this.data ? this.getReadyStatus() : 'error');
+        }
+
+        getReadyStatus() {
+            if (this.hasLayoutErrors()) return 'layout';
+            if (this.isOffline()) return 'offline';
+            return this.isExpired() ? 'stale' : 'success';
+        }
+
+        /**
+         * Short age label for UI next to any displayed status, e.g. "data 3 days old".
+         * Empty while the data is fresh and online.
+         */
+        getAgeLabel() {
+            if (!this.timestamp) return '';
+            if (this.isOffline()) return CONSTANTS.MESSAGES.UI.AGE_OFFLINE(formatAge(this.timestamp));
+            return this.isExpired() ? CONSTANTS.MESSAGES.UI.AGE_STALE(formatAge(this.timestamp)) : '';
+        }
+
+        /**
+         * Replaces the cached data with a snapshot exported by exportSnapshot(), so the
+         * checker works without network access (first run, blocked Google, etc.).
+         */
+        importSnapshot(text) {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(text);
+            } catch (error) {
+                throw new Error(CONSTANTS.MESSAGES.TOAST.SNAPSHOT_INVALID(CONSTANTS.MESSAGES.ERROR.NOT_JSON));
+            }
+            if (!snapshot || !this.store.isValid(snapshot)) {
+                throw new Error(CONSTANTS.MESSAGES.TOAST.SNAPSHOT_INVALID(CONSTANTS.MESSAGES.ERROR.SNAPSHOT_MALFORMED));
+            }
+
+            if (Array.isArray(snapshot.sheets) && snapshot.sheets.length) {
+                GM_setValue(getNamespacedKey(CONSTANTS.SPREADSHEET.SHEETS_KEY), { timestamp: snapshot.timestamp, sheets: snapshot.sheets });
+            }
+            this.data = snapshot.data;
+            this.timestamp = snapshot.timestamp;
+            this.detectLayouts();
+            this.buildIndex();
+            this.initialized = true;
+            this.persist();
+            this.updateStatusIndicator(this.getReadyStatus());
+        }
+
+        exportSnapshot() {
+            return JSON.stringify({
+                schemaVersion: CONSTANTS.CACHE.SCHEMA_VERSION,
+                timestamp: this.timestamp,
+                sheets: getSheets(),
+                data: this.data
+            });
+        }
+
+        async refreshCache() {
+            if (this.isLoading && this.initialized) return;
+            if (this.isOffline()) {
+                throw new Error(CONSTANTS.MESSAGES.TOAST.OFFLINE);
+            }
+
+            this.isLoading = true;
+            this.updateStatusIndicator('loading');
+
+            try {
+                const previousEntries = this.data ? this.getAllEntries() : null;
+                const source = getDataSource();
+                let allData = {};
+
+                if (source.type === 'file') {
+                    throw new Error(CONSTANTS.MESSAGES.TOAST.FILE_SOURCE);
+                } else if (source.type === 'url') {
+                    allData = this.parseSourceContent(await this.fetchWithRetry(source.url), source);
+                } else {
+                    await this.discoverSheets();
+                    for (const sheet of getSheets()) {
+                        const url = `https://docs.google.com/spreadsheets/d/${getSpreadsheetId()}/export?format=csv&gid=${sheet.gid}`;
+                        const response = await this.fetchWithRetry(url);
+                        allData[sheet.gid] = this.parseCSV(response);
+                    }
+                }
+
+                this.data = allData;
+                this.timestamp = Date.now();
+                this.detectLayouts();
+                this.buildIndex();
+                this.initialized = true;
+
+                this.persist();
+
+                if (previousEntries && isHistoryBaselineCurrent()) {
+                    recordChanges(this.timestamp, diffEntries(previousEntries, this.getAllEntries()));
+                }
+                GM_setValue(CONSTANTS.CACHE.HISTORY_BASELINE_KEY, getHistoryBaseline());
+                checkWatchlist(this);
+
+                this.updateStatusIndicator(this.getReadyStatus());
+            } catch (error) {
+                console.error('Cache refresh failed:', error);
+                this.updateStatusIndicator(this.data ? 'stale' : 'error');
+                throw error;
+            } finally {
+                this.isLoading = false;
+            }
+        }
+
+        /**
+         * Reads the spreadsheet's tab names and gids from its published HTML view so
+         * new version tabs are picked up without a script update. Failures keep the
+         * previously discovered (or hardcoded) list.
+         */
+        async discoverSheets() {
+            try {
+                const html = await this.fetchSheet(`https://docs.google.com/spreadsheets/d/${getSpreadsheetId()}/htmlview`);
+                const doc = new DOMParser().parseFromString(html, 'text/html');
+                const tabs = Array.from(doc.querySelectorAll('[id^="sheet-button-"]')).map(button => ({
+                    gid: button.id.replace('sheet-button-', ''),
+                    name: button.textContent.trim()
+                }));
+
+                const sheets = parseSheetTabs(tabs);
+                if (!sheets.length) {
+                    throw new Error('No version tabs found in the spreadsheet metadata');
+                }
+                GM_setValue(getNamespacedKey(CONSTANTS.SPREADSHEET.SHEETS_KEY), { timestamp: Date.now(), sheets });
+            } catch (error) {
+                console.warn('Sheet discovery failed, using the known sheet list:', error);
+            }
+        }
+
+        createStatusIndicator() {
+            const indicator = document.createElement('div');
+            indicator.id = 'mp-compatibility-status';
+            indicator.tabIndex = 0;
+            indicator.setAttribute('role', 'button');
+            indicator.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    indicator.click();
+                }
+            });
+            indicator.style.cssText = `
+            display: inline-flex;
+            align-items: center;
             margin-right: 10px;
             padding: 5px 10px;
             border-radius: 3px;
@@ -245,6 +2284,9 @@
                 globalHeader.appendChild(indicator);
             }
 
+            updateChangesIndicator();
+            updateWatchlistIndicator();
+
             return indicator;
         }
 
@@ -254,27 +2296,40 @@
                 indicator = this.createStatusIndicator();
             }
 
+            const age = formatAge(this.timestamp);
             const statusConfig = {
-                loading: { text: 'MP Compatibility: Loading...', color: '#ffd700' },
-                success: { text: 'MP Compatibility: Ready', color: '#4caf50' },
-                error: { text: 'MP Compatibility: Error', color: '#ff4444' },
-                expired: { text: 'MP Compatibility: Update Available', color: '#ff8c1a' }
+                loading: { text: CONSTANTS.MESSAGES.UI.INDICATOR.loading, color: '#ffd700' },
+                success: { text: CONSTANTS.MESSAGES.UI.INDICATOR.success, color: '#4caf50' },
+                error: { text: CONSTANTS.MESSAGES.UI.INDICATOR.error, color: '#ff4444' },
+                expired: { text: CONSTANTS.MESSAGES.UI.INDICATOR.expired, color: '#ff8c1a' },
+                stale: { text: CONSTANTS.MESSAGES.UI.INDICATOR.stale(age), color: '#ff8c1a' },
+                offline: { text: CONSTANTS.MESSAGES.UI.INDICATOR.offline(age), color: '#ffd700' },
+                layout: { text: CONSTANTS.MESSAGES.UI.INDICATOR.layout, color: '#ff4444' }
             };
 
             const config = statusConfig[status];
             indicator.style.color = config.color;
             indicator.textContent = config.text;
+            indicator.title = CONSTANTS.MESSAGES.UI.INDICATOR_TITLE(this.getLastUpdated());
 
-            indicator.onclick = async () => {
-                if (!this.isLoading) {
-                    try {
-                        await this.refreshCache();
-                        showToast(CONSTANTS.MESSAGES.TOAST.UPDATE_SUCCESS);
-                    } catch (error) {
-                        showToast(CONSTANTS.MESSAGES.TOAST.UPDATE_ERROR, true);
-                    }
+            indicator.onclick = () => openSettingsDialog();
+        }
+
+        /**
+         * Retries failed downloads with exponential backoff (1s, 2s, 4s, ...) before giving up.
+         */
+        async fetchWithRetry(url) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.fetchSheet(url);
+                } catch (error) {
+                    if (attempt + 1 >= CONSTANTS.CACHE.FETCH_RETRIES) throw error;
+
+                    const delay = CONSTANTS.CACHE.FETCH_RETRY_DELAY * 2 ** attempt;
+                    console.warn(`Fetching ${url} failed, retrying in ${delay}ms:`, error);
+                    await new Promise(resolve => setTimeout(resolve, delay));
                 }
-            };
+            }
         }
 
         async fetchSheet(url) {
@@ -287,69 +2342,259 @@
                         if (response.status === 200) {
                             resolve(response.responseText);
                         } else {
-                            reject(new Error(`Failed to fetch data (Status: ${response.status})`));
+                            reject(new Error(CONSTANTS.MESSAGES.ERROR.DATA_FETCH_FAILED(response.status)));
                         }
                     },
-                    onerror: (error) => reject(new Error(`Request failed: ${error}`))
+                    onerror: (error) => reject(new Error(CONSTANTS.MESSAGES.ERROR.REQUEST_FAILED(error)))
                 });
             });
         }
 
         parseCSV(csv) {
-            const lines = csv.split('\n');
-            return lines.map(line => {
-                const rows = [];
-                let field = '';
-                let inQuotes = false;
-
-                for (let i = 0; i < line.length; i++) {
-                    if (line[i] === '"') {
-                        inQuotes = !inQuotes;
-                    } else if (line[i] === ',' && !inQuotes) {
-                        rows.push(field.trim());
-                        field = '';
-                    } else {
-                        field += line[i];
+            const parser = new CsvParser();
+            parser.push(csv);
+            return parser.end().map(row => row.map(field => field.trim()));
+        }
+
+        /**
+         * Locates the header row of every loaded sheet and maps column names to indices.
+         * Sheets missing a required column get an entry in layoutErrors instead.
+         */
+        detectLayouts() {
+            this.layouts = {};
+            this.layoutErrors = {};
+            if (!this.data) return;
+
+            for (const sheet of getSheets()) {
+                const sheetData = this.data[sheet.gid];
+                if (!sheetData) continue;
+
+                let best = null;
+                const scanRows = Math.min(sheetData.length, CONSTANTS.SPREADSHEET.HEADER_SCAN_ROWS);
+                for (let i = 0; i < scanRows; i++) {
+                    const columns = {};
+                    sheetData[i].forEach((cell, index) => {
+                        const header = cell.replace(/\s+/g, ' ').trim();
+                        for (const [key, pattern] of Object.entries(CONSTANTS.SPREADSHEET.COLUMNS)) {
+                            if (columns[key] === undefined && pattern.test(header)) {
+                                columns[key] = index;
+                            }
+                        }
+                    });
+
+                    if (!best || Object.keys(columns).length > Object.keys(best.columns).length) {
+                        best = { headerRow: i, columns };
                     }
+                    if (CONSTANTS.SPREADSHEET.REQUIRED_COLUMNS.every(key => columns[key] !== undefined)) break;
                 }
-                rows.push(field.trim());
-                return rows;
-            });
+
+                const missing = CONSTANTS.SPREADSHEET.REQUIRED_COLUMNS.filter(key => best?.columns[key] === undefined);
+                if (missing.length) {
+                    this.layoutErrors[sheet.gid] = CONSTANTS.MESSAGES.ERROR.SHEET_LAYOUT(
+                        sheet.version,
+                        missing.map(key => `"${CONSTANTS.SPREADSHEET.COLUMN_LABELS[key]}"`)
+                    );
+                    console.error(this.layoutErrors[sheet.gid]);
+                } else {
+                    this.layouts[sheet.gid] = best;
+                }
+            }
+        }
+
+        hasLayoutErrors() {
+            return Object.keys(this.layoutErrors).length > 0;
+        }
+
+        /**
+         * Builds a per-sheet lookup of Steam IDs and package-ID-like cells to row indices,
+         * so lookups don't have to scan every row.
+         */
+        buildIndex() {
+            this.index = {};
+            this.nameIndex = {};
+
+            for (const [gid, layout] of Object.entries(this.layouts)) {
+                const sheetData = this.data[gid];
+                const steamIds = {};
+                const packageIds = {};
+
+                for (let i = layout.headerRow + 1; i < sheetData.length; i++) {
+                    const row = sheetData[i];
+                    const steamId = row[layout.columns.steamId];
+                    if (steamId && !(steamId in steamIds)) {
+                        steamIds[steamId] = i;
+                    }
+                    row.forEach(cell => {
+                        if (/^[a-z0-9_-]+(\.[a-z0-9_-]+)+$/i.test(cell)) {
+                            const packageId = cell.toLowerCase();
+                            if (!(packageId in packageIds)) {
+                                packageIds[packageId] = i;
+                            }
+                        }
+                    });
+                }
+
+                this.index[gid] = { headerRow: layout.headerRow, steamIds, packageIds };
+            }
+        }
+
+        /**
+         * Restores the persisted index, rebuilding it when it is missing or doesn't
+         * match the current data (e.g. caches written before the index existed).
+         */
+        loadIndex(stored) {
+            const isValid = stored && Object.entries(this.layouts).every(([gid, layout]) =>
+                stored[gid]?.steamIds && stored[gid]?.packageIds && stored[gid].headerRow === layout.headerRow
+            );
+            if (isValid) {
+                this.index = stored;
+                this.nameIndex = {};
+                return;
+            }
+
+            this.buildIndex();
+            this.persist();
+        }
+
+        findRowIndex(modId, sheetGid) {
+            const rowIndex = modId ? this.index[sheetGid]?.steamIds[modId] : undefined;
+            return typeof rowIndex === 'number' ? rowIndex : -1;
+        }
+
+        /**
+         * Returns the mod's entry with any personal override for this version applied.
+         */
+        getModInfo(modId, sheetGid, modName = null) {
+            const modInfo = this.getSheetModInfo(modId, sheetGid, modName);
+            return modInfo && applyOverride(modInfo, modId, sheetGid);
         }
 
-        getModInfo(modId, sheetGid) {
+        getSheetModInfo(modId, sheetGid, modName = null) {
             if (!this.data || !this.data[sheetGid]) return null;
 
-            const sheetData = this.data[sheetGid];
-            const STATUS_COL = 0;
-            const STEAM_ID_COL = 2;
-            const NOTES_COL = 5;
+            if (this.layoutErrors[sheetGid]) {
+                return {
+                    status: 'untested',
+                    notes: this.layoutErrors[sheetGid],
+                    layoutError: true
+                };
+            }
+
+            const rowIndex = this.findRowIndex(modId, sheetGid);
+            if (rowIndex !== -1) return this.getRowModInfo(rowIndex, sheetGid);
+
+            return {
+                status: 'untested',
+                notes: CONSTANTS.MESSAGES.UI.NOT_FOUND,
+                possibleMatches: modName ? this.findPossibleMatches(modName, sheetGid, modId) : []
+            };
+        }
+
+        getRowModInfo(rowIndex, sheetGid) {
+            const row = this.data[sheetGid][rowIndex];
+            const { columns } = this.layouts[sheetGid];
+            return {
+                status: row[columns.status],
+                name: columns.name !== undefined ? row[columns.name] : null,
+                notes: (columns.notes !== undefined && row[columns.notes]) || CONSTANTS.MESSAGES.UI.NO_NOTES
+            };
+        }
+
+        /**
+         * Finds sheet entries whose mod name resembles a Workshop title, for re-uploads,
+         * forks and "continued" versions listed under another Steam ID. Candidates come
+         * back best first with a 0-1 confidence.
+         */
+        findPossibleMatches(title, sheetGid, excludeModId = null) {
+            const layout = this.layouts[sheetGid];
+            const normalizedTitle = normalizeModName(title);
+            if (!layout || layout.columns.name === undefined || !normalizedTitle) return [];
+
+            if (!this.nameIndex[sheetGid]) {
+                this.nameIndex[sheetGid] = Object.entries(this.index[sheetGid].steamIds).map(([steamId, rowIndex]) => {
+                    const normalized = normalizeModName(this.data[sheetGid][rowIndex][layout.columns.name]);
+                    return { steamId, rowIndex, normalized, bigrams: getBigrams(normalized) };
+                }).filter(entry => entry.normalized);
+            }
 
-            for (let i = 1; i < sheetData.length; i++) {
-                const row = sheetData[i];
-                if (row[STEAM_ID_COL] === modId) {
+            const titleBigrams = getBigrams(normalizedTitle);
+            return this.nameIndex[sheetGid]
+                .filter(entry => entry.steamId !== excludeModId)
+                .map(entry => ({
+                    entry,
+                    confidence: entry.normalized === normalizedTitle ? 1 : diceCoefficient(titleBigrams, entry.bigrams)
+                }))
+                .filter(({ confidence }) => confidence >= CONSTANTS.FUZZY_MATCH.THRESHOLD)
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(0, CONSTANTS.FUZZY_MATCH.MAX_CANDIDATES)
+                .map(({ entry, confidence }) => {
+                    const row = this.data[sheetGid][entry.rowIndex];
                     return {
-                        status: row[STATUS_COL],
-                        notes: row[NOTES_COL] || 'No notes available'
+                        steamId: entry.steamId,
+                        name: row[layout.columns.name],
+                        status: row[layout.columns.status] === '0' ? 'untested' : row[layout.columns.status],
+                        notes: (layout.columns.notes !== undefined && row[layout.columns.notes]) || '',
+                        confidence
+                    };
+                });
+        }
+
+        /**
+         * Returns the A1 reference of the mod's Steam ID cell in the source sheet, or null.
+         */
+        getSourceRange(modId, sheetGid) {
+            const rowIndex = this.findRowIndex(modId, sheetGid);
+            if (rowIndex === -1) return null;
+
+            let column = '';
+            for (let index = this.layouts[sheetGid].columns.steamId + 1; index > 0; index = Math.floor((index - 1) / 26)) {
+                column = String.fromCharCode(65 + (index - 1) % 26) + column;
+            }
+            // CSV records map one-to-one onto sheet rows, which are 1-based
+            return `${column}${rowIndex + 1}`;
+        }
+
+        /**
+         * Returns every indexed mod per sheet as { [gid]: { [steamId]: { name, status, notes } } }.
+         */
+        getAllEntries() {
+            const entries = {};
+            for (const [gid, sheetIndex] of Object.entries(this.index)) {
+                const { columns } = this.layouts[gid];
+                entries[gid] = {};
+                for (const [steamId, rowIndex] of Object.entries(sheetIndex.steamIds)) {
+                    const row = this.data[gid][rowIndex];
+                    entries[gid][steamId] = {
+                        name: columns.name !== undefined ? row[columns.name] : steamId,
+                        status: row[columns.status] === '0' ? 'untested' : row[columns.status],
+                        notes: columns.notes !== undefined ? row[columns.notes] : ''
                     };
                 }
             }
+            return entries;
+        }
 
-            return {
-                status: 'untested',
-                notes: 'Unable to find mod ID in the compatibility spreadsheet. Be aware that compatibility with this mod is not tested.'
-            };
+        getModInfoByPackageId(packageId, sheetGid) {
+            const rowIndex = this.index[sheetGid]?.packageIds[packageId.toLowerCase()];
+            if (typeof rowIndex !== 'number') return null;
+
+            // Built from the matched row, since rows listed only by package ID have no Steam ID to look up
+            const steamId = this.data[sheetGid][rowIndex][this.layouts[sheetGid].columns.steamId] || null;
+            const modInfo = this.getRowModInfo(rowIndex, sheetGid);
+            return { steamId, modInfo: steamId ? applyOverride(modInfo, steamId, sheetGid) : modInfo };
         }
 
         getLastUpdated() {
-            return this.timestamp ? new Date(this.timestamp).toLocaleString() : 'Never';
+            return this.timestamp ? new Date(this.timestamp).toLocaleString() : CONSTANTS.MESSAGES.UI.NEVER;
         }
     }
     /**
      * Helper functions for version management
      */
     function getDefaultVersion() {
-        return GM_getValue('defaultVersion', null);
+        const defaultVersion = GM_getValue('defaultVersion', null);
+        // A default pointing at a tab that no longer exists is ignored
+        return getSheets().some(sheet => sheet.gid === defaultVersion) ? defaultVersion : null;
     }
 
     function setDefaultVersion(version) {
@@ -358,657 +2603,3562 @@
             showToast(CONSTANTS.MESSAGES.TOAST.DEFAULT_CLEARED);
         } else {
             GM_setValue('defaultVersion', version);
-            const versionName = CONSTANTS.SPREADSHEET.SHEETS.find(s => s.gid === version)?.version || 'Unknown';
+            const versionName = getSheets().find(s => s.gid === version)?.version || CONSTANTS.MESSAGES.UI.UNKNOWN;
             showToast(CONSTANTS.MESSAGES.TOAST.DEFAULT_SET(versionName));
         }
 
         document.dispatchEvent(new Event('defaultVersionChanged'));
     }
 
-    function detectModVersion() {
-        const defaultVersion = getDefaultVersion();
-        if (defaultVersion) return defaultVersion;
+    /**
+     * Helper functions for user settings. Stored settings are checked against the
+     * allowed values so a stale or hand-edited export can't break the page.
+     */
+    function sanitizeSettings(raw) {
+        const { DEFAULTS, REFRESH_HOURS, ICON_SETS, PALETTES, BADGE_POSITIONS, PAGES, TOOLTIP_TRIGGERS } = CONSTANTS.SETTINGS;
+        const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+        const pages = raw?.enhancePages || {};
+
+        return {
+            refreshHours: pick(raw?.refreshHours, REFRESH_HOURS, DEFAULTS.refreshHours),
+            iconSet: pick(raw?.iconSet, Object.keys(ICON_SETS), DEFAULTS.iconSet),
+            badgePosition: pick(raw?.badgePosition, BADGE_POSITIONS, DEFAULTS.badgePosition),
+            enhancePages: Object.fromEntries(PAGES.map(page => [
+                page,
+                typeof pages[page] === 'boolean' ? pages[page] : DEFAULTS.enhancePages[page]
+            ])),
+            tooltipTrigger: pick(raw?.tooltipTrigger, TOOLTIP_TRIGGERS, DEFAULTS.tooltipTrigger),
+            palette: pick(raw?.palette, Object.keys(PALETTES), DEFAULTS.palette),
+            statusText: typeof raw?.statusText === 'boolean' ? raw.statusText : DEFAULTS.statusText,
+            language: pick(raw?.language, Object.keys(CONSTANTS.I18N.LANGUAGES), DEFAULTS.language)
+        };
+    }
 
-        const detailsBlock = document.querySelector('.rightDetailsBlock');
-        if (detailsBlock) {
-            const versionLinks = Array.from(detailsBlock.getElementsByTagName('a'))
-                .filter(a => a.textContent.match(/^1\.[0-5]$/))
-                .map(a => a.textContent);
+    function getSettings() {
+        return sanitizeSettings(GM_getValue(CONSTANTS.SETTINGS.KEY, {}));
+    }
+
+    function setSettings(settings) {
+        GM_setValue(CONSTANTS.SETTINGS.KEY, sanitizeSettings(settings));
+        document.dispatchEvent(new Event('settingsChanged'));
+    }
+
+    function getStatusIcon(status) {
+        const icons = CONSTANTS.SETTINGS.ICON_SETS[getSettings().iconSet].icons || CONSTANTS.STATUS.ICONS;
+        return icons[status];
+    }
+
+    function getStatusColor(status) {
+        const colors = CONSTANTS.SETTINGS.PALETTES[getSettings().palette].colors || CONSTANTS.STATUS.COLORS;
+        return colors[status];
+    }
+
+    /**
+     * Renders a Workshop item's status badge. The label is always announced to screen
+     * readers and optionally shown as text next to the icon.
+     */
+    function renderStatusBadge(badge, status, modInfo) {
+        const description = CONSTANTS.STATUS.DESCRIPTIONS[status] || CONSTANTS.MESSAGES.UI.UNKNOWN_STATUS;
+        badge.style.color = getStatusColor(status);
+        badge.style.border = modInfo.override ? `1px dashed ${CONSTANTS.OVERRIDES.MARKER_COLOR}` : '';
+        Object.assign(badge.style, getBadgePositionStyle());
+        badge.textContent = getSettings().statusText
+            ? `${getStatusIcon(status)} ${CONSTANTS.STATUS.SHORT_LABELS[status]}`
+            : getStatusIcon(status);
+        badge.setAttribute('aria-label', CONSTANTS.MESSAGES.UI.BADGE_LABEL(description, Boolean(modInfo.override)));
+    }
+
+    function getBadgePositionStyle() {
+        const [vertical, horizontal] = getSettings().badgePosition.split('-');
+        return {
+            top: vertical === 'top' ? '5px' : 'auto',
+            bottom: vertical === 'bottom' ? '5px' : 'auto',
+            left: horizontal === 'left' ? '5px' : 'auto',
+            right: horizontal === 'right' ? '5px' : 'auto'
+        };
+    }
+
+    function exportSettings() {
+        return JSON.stringify({
+            type: 'settings',
+            exportedAt: Date.now(),
+            settings: getSettings(),
+            defaultVersion: GM_getValue('defaultVersion', null)
+        }, null, 2);
+    }
+
+    function importSettings(json) {
+        let content;
+        try {
+            content = JSON.parse(json);
+        } catch {
+            throw new Error(CONSTANTS.MESSAGES.TOAST.SETTINGS_INVALID(CONSTANTS.MESSAGES.ERROR.NOT_JSON));
+        }
+        if (content?.type !== 'settings' || !content.settings || typeof content.settings !== 'object') {
+            throw new Error(CONSTANTS.MESSAGES.TOAST.SETTINGS_INVALID(CONSTANTS.MESSAGES.ERROR.SETTINGS_MALFORMED));
+        }
+
+        setSettings(content.settings);
+        if (content.defaultVersion === null || typeof content.defaultVersion === 'string') {
+            GM_setValue('defaultVersion', content.defaultVersion);
+            document.dispatchEvent(new Event('defaultVersionChanged'));
+        }
+    }
+
+    function resetSettings() {
+        GM_setValue(CONSTANTS.SETTINGS.KEY, {});
+        GM_setValue('defaultVersion', null);
+        document.dispatchEvent(new Event('settingsChanged'));
+        document.dispatchEvent(new Event('defaultVersionChanged'));
+    }
+
+    /**
+     * Helper functions for the change history recorded on each refresh
+     */
+    function getChangeHistory() {
+        return GM_getValue(CONSTANTS.CACHE.HISTORY_KEY, []);
+    }
 
-            if (versionLinks.length > 0) {
-                const versions = versionLinks.sort((a, b) => parseFloat(b) - parseFloat(a));
-                const highestVersion = versions[0];
+    function diffEntries(previous, next) {
+        const versions = {};
+
+        for (const [gid, nextEntries] of Object.entries(next)) {
+            const previousEntries = previous[gid];
+            if (!previousEntries) continue;
+
+            const changes = { statusChanged: [], added: [], removed: [], notesChanged: [] };
+            for (const [id, entry] of Object.entries(nextEntries)) {
+                const before = previousEntries[id];
+                if (!before) {
+                    changes.added.push({ id, name: entry.name, to: entry.status });
+                } else if (before.status !== entry.status) {
+                    changes.statusChanged.push({ id, name: entry.name, from: before.status, to: entry.status });
+                } else if (before.notes !== entry.notes) {
+                    changes.notesChanged.push({ id, name: entry.name, to: truncateText(entry.notes, CONSTANTS.UI.MATRIX_NOTE_LENGTH) });
+                }
+            }
+            for (const [id, entry] of Object.entries(previousEntries)) {
+                if (!nextEntries[id]) {
+                    changes.removed.push({ id, name: entry.name, from: entry.status });
+                }
+            }
 
-                if (highestVersion >= '1.4') return CONSTANTS.SPREADSHEET.SHEETS[0].gid;
-                if (highestVersion === '1.3') return CONSTANTS.SPREADSHEET.SHEETS[1].gid;
-                if (highestVersion === '1.2' || highestVersion === '1.1') return CONSTANTS.SPREADSHEET.SHEETS[2].gid;
-                if (highestVersion === '1.0') return CONSTANTS.SPREADSHEET.SHEETS[3].gid;
+            if (Object.values(changes).some(list => list.length)) {
+                versions[gid] = changes;
             }
         }
 
-        return CONSTANTS.SPREADSHEET.SHEETS[0].gid;
+        return versions;
     }
 
-    function createTooltip(modInfo, defaultGid) {
-        const tooltip = document.createElement('div');
-        tooltip.className = 'mp-compat-tooltip';
+    /**
+     * Identifies the schema and parser that produced the cached entries. Diffing entries
+     * parsed differently would report every reparsed row as a change.
+     */
+    function getHistoryBaseline() {
+        return `${CONSTANTS.CACHE.SCHEMA_VERSION}.${CONSTANTS.CACHE.PARSER_VERSION}`;
+    }
 
-        const updateTooltipContent = () => {
-            const activeSheet = CONSTANTS.SPREADSHEET.SHEETS.find(s => s.gid === defaultGid) || CONSTANTS.SPREADSHEET.SHEETS[0];
-            const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+    function isHistoryBaselineCurrent() {
+        return GM_getValue(CONSTANTS.CACHE.HISTORY_BASELINE_KEY, null) === getHistoryBaseline();
+    }
 
-            const versionInfo = defaultGid
-                ? `<div class="mp-compat-version">RimWorld ${activeSheet.version} (default)</div>`
-                : `<div class="mp-compat-version">RimWorld ${activeSheet.version}</div>`;
+    function recordChanges(timestamp, versions) {
+        if (!Object.keys(versions).length) return;
 
-            tooltip.innerHTML = `
-            ${versionInfo}
-            <strong>${CONSTANTS.STATUS.DESCRIPTIONS[status]}</strong>
-            <div class="mp-compat-tooltip-notes">${modInfo.notes}</div>
-        `;
-        };
+        const history = [{ timestamp, versions }, ...getChangeHistory()].slice(0, CONSTANTS.CACHE.HISTORY_LIMIT);
+        try {
+            GM_setValue(CONSTANTS.CACHE.HISTORY_KEY, history);
+        } catch (error) {
+            console.error('Failed to save change history:', error);
+        }
+        updateChangesIndicator();
+    }
 
-        updateTooltipContent();
+    function getUnseenChanges() {
+        const seen = GM_getValue(CONSTANTS.CACHE.HISTORY_SEEN_KEY, 0);
+        return getChangeHistory().filter(entry => entry.timestamp > seen);
+    }
 
-        document.addEventListener('defaultVersionChanged', () => {
-            const newDefaultGid = getDefaultVersion() || CONSTANTS.SPREADSHEET.SHEETS[0].gid;
-            if (newDefaultGid !== defaultGid) {
-                defaultGid = newDefaultGid;
-                updateTooltipContent();
+    function countChanges(entries) {
+        return entries.reduce((total, entry) => total + Object.values(entry.versions).reduce((sum, changes) =>
+            sum + changes.statusChanged.length + changes.added.length + changes.removed.length + changes.notesChanged.length, 0), 0);
+    }
+
+    /**
+     * Returns the changes to a single mod recorded after `since`, newest first.
+     */
+    function getModChangesSince(modId, since) {
+        const changes = [];
+        getChangeHistory().filter(entry => entry.timestamp > since).forEach(entry => {
+            for (const [gid, versionChanges] of Object.entries(entry.versions)) {
+                for (const [kind, list] of Object.entries(versionChanges)) {
+                    const change = list.find(c => c.id === modId);
+                    if (change) {
+                        changes.push({ ...change, kind, gid, timestamp: entry.timestamp });
+                    }
+                }
             }
         });
+        return changes;
+    }
 
-        return tooltip;
+    /**
+     * Records that the mod page was viewed and returns what changed since the previous visit.
+     */
+    function markModSeen(modId) {
+        const lastSeen = GM_getValue(CONSTANTS.CACHE.MOD_LAST_SEEN_KEY, {});
+        const changes = lastSeen[modId] ? getModChangesSince(modId, lastSeen[modId]) : [];
+        lastSeen[modId] = Date.now();
+        const pruned = Object.fromEntries(Object.entries(lastSeen)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, CONSTANTS.CACHE.MOD_LAST_SEEN_LIMIT));
+        GM_setValue(CONSTANTS.CACHE.MOD_LAST_SEEN_KEY, pruned);
+        return changes;
     }
 
-    function createVersionSelectorBar(selectedGid) {
-        const container = document.createElement('div');
-        container.style.cssText = `
-        background-color: ${CONSTANTS.UI.COLORS.BACKGROUND};
-        border-bottom-width: 1px;
-        border-bottom-style: solid;
-        border-bottom-color: ${CONSTANTS.UI.COLORS.BORDER};
-        padding: ${CONSTANTS.UI.SPACING.MEDIUM};
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        gap: ${CONSTANTS.UI.SPACING.MEDIUM};
-        font-size: 14px;
-        color: ${CONSTANTS.UI.COLORS.TEXT};
-    `;
+    function describeChange(change) {
+        const statusLabel = (status) => `${getStatusIcon(status) || ''} ${CONSTANTS.STATUS.SHORT_LABELS[status] || status}`.trim();
+        switch (change.kind) {
+            case 'statusChanged':
+                return `${statusLabel(change.from)} → ${statusLabel(change.to)}`;
+            case 'added':
+                return CONSTANTS.MESSAGES.UI.CHANGE_ADDED(statusLabel(change.to));
+            case 'removed':
+                return CONSTANTS.MESSAGES.UI.CHANGE_REMOVED(statusLabel(change.from));
+            case 'notesChanged':
+                return CONSTANTS.MESSAGES.UI.CHANGE_NOTES(truncateText(change.to, CONSTANTS.UI.MATRIX_NOTE_LENGTH) || CONSTANTS.MESSAGES.UI.EMPTY_NOTES);
+        }
+        return '';
+    }
 
-        const label = document.createElement('label');
-        label.textContent = 'RimWorld Version:';
+    function updateChangesIndicator() {
+        const statusIndicator = document.getElementById('mp-compatibility-status');
+        if (!statusIndicator) return;
 
-        const select = document.createElement('select');
-        select.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        let badge = document.getElementById('mp-compatibility-changes');
+        const count = countChanges(getUnseenChanges());
 
-        CONSTANTS.SPREADSHEET.SHEETS.forEach(sheet => {
-            const option = document.createElement('option');
-            option.value = sheet.gid;
-            option.textContent = sheet.version;
-            if (sheet.gid === selectedGid) {
-                option.selected = true;
-            }
-            select.appendChild(option);
-        });
+        if (!count) {
+            badge?.remove();
+            return;
+        }
 
-        const setDefaultButton = document.createElement('button');
-        setDefaultButton.innerHTML = '📌 Set as Default';
-        setDefaultButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
-        setDefaultButton.addEventListener('click', () => setDefaultVersion(select.value));
+        if (!badge) {
+            badge = document.createElement('button');
+            badge.id = 'mp-compatibility-changes';
+            badge.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + `
+                font-size: 12px;
+                margin-right: 10px;
+            `;
+            badge.addEventListener('click', openChangeHistoryDialog);
+            statusIndicator.insertAdjacentElement('afterend', badge);
+        }
+        badge.textContent = CONSTANTS.MESSAGES.UI.CHANGES_BADGE(count);
+        badge.title = CONSTANTS.MESSAGES.UI.CHANGES_BADGE_TITLE;
+    }
 
-        const clearDefaultButton = document.createElement('button');
-        clearDefaultButton.innerHTML = '❌ Clear Default';
-        clearDefaultButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
-        clearDefaultButton.addEventListener('click', () => setDefaultVersion(null));
+    function openChangeHistoryDialog() {
+        const { body, close } = createDialog(CONSTANTS.MESSAGES.UI.CHANGES_TITLE);
+        const entries = getUnseenChanges();
+        const kinds = Object.entries(CONSTANTS.MESSAGES.UI.CHANGE_KINDS);
 
-        select.addEventListener('change', async (e) => {
-            await updateAllContent(e.target.value);
+        getSheets().forEach(sheet => {
+            const changes = entries.flatMap(entry => {
+                const versionChanges = entry.versions[sheet.gid];
+                if (!versionChanges) return [];
+                return kinds.flatMap(([kind]) => versionChanges[kind].map(change => ({ ...change, kind })));
+            });
+            if (!changes.length) return;
+
+            const section = document.createElement('details');
+            section.open = sheet.gid === (getDefaultVersion() || getSheets()[0].gid);
+            section.style.marginBottom = CONSTANTS.UI.SPACING.MEDIUM;
+
+            const summary = document.createElement('summary');
+            summary.style.cssText = `cursor: pointer; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; font-weight: bold;`;
+            summary.textContent = `${CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(sheet.version)} (${changes.length})`;
+            section.appendChild(summary);
+
+            kinds.forEach(([kind, heading]) => {
+                const list = changes.filter(change => change.kind === kind);
+                if (!list.length) return;
+
+                const headingDiv = document.createElement('div');
+                headingDiv.style.cssText = 'margin: 8px 0 4px; font-weight: bold;';
+                headingDiv.textContent = `${heading} (${list.length})`;
+                section.appendChild(headingDiv);
+
+                list.forEach(change => {
+                    const row = document.createElement('div');
+                    row.style.cssText = 'margin: 3px 0 3px 15px; font-size: 12px;';
+
+                    const link = document.createElement('a');
+                    link.href = `https://steamcommunity.com/sharedfiles/filedetails/?id=${change.id}`;
+                    link.target = '_blank';
+                    link.style.color = CONSTANTS.UI.COLORS.LINK;
+                    link.textContent = change.name || change.id;
+
+                    row.append(link, ` — ${describeChange(change)}`);
+                    section.appendChild(row);
+                });
+            });
+
+            body.appendChild(section);
         });
 
-        container.appendChild(label);
-        container.appendChild(select);
-        container.appendChild(setDefaultButton);
-        container.appendChild(clearDefaultButton);
+        if (!body.children.length) {
+            body.textContent = CONSTANTS.MESSAGES.UI.NO_CHANGES;
+        }
 
-        return container;
+        const dismissButton = document.createElement('button');
+        dismissButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + `margin-top: ${CONSTANTS.UI.SPACING.MEDIUM};`;
+        dismissButton.textContent = CONSTANTS.MESSAGES.UI.MARK_SEEN;
+        dismissButton.addEventListener('click', () => {
+            GM_setValue(CONSTANTS.CACHE.HISTORY_SEEN_KEY, entries[0]?.timestamp || Date.now());
+            updateChangesIndicator();
+            close();
+        });
+        body.appendChild(dismissButton);
     }
 
-    function createInfoPanel(modInfo, sheet = CONSTANTS.SPREADSHEET.SHEETS[0], selectedGid = CONSTANTS.SPREADSHEET.SHEETS[0].gid) {
-        const panel = document.createElement('div');
-        panel.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel;
+    /**
+     * Helper functions for the watchlist of mods whose status changes should be alerted
+     */
+    function getWatchlist() {
+        return GM_getValue(CONSTANTS.WATCHLIST.KEY, {});
+    }
 
-        // Title
-        const titleDiv = document.createElement('div');
-        titleDiv.style.cssText = `
-            font-size: 16px;
-            font-weight: bold;
-            margin-bottom: 15px;
-            color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT};
-            text-align: center;
-            border-bottom-width: 1px;
-            border-bottom-style: solid;
-            border-bottom-color: ${CONSTANTS.UI.COLORS.BORDER};
-            padding-bottom: 10px;
-        `;
-        titleDiv.textContent = 'RimWorld Multiplayer Compatibility';
-        panel.appendChild(titleDiv);
+    function getWatchlistAlerts() {
+        return GM_getValue(CONSTANTS.WATCHLIST.ALERTS_KEY, []);
+    }
 
-        // Version indicator
-        const versionIndicator = document.createElement('div');
-        versionIndicator.style.cssText = `
-            color: ${CONSTANTS.UI.COLORS.TEXT};
-            margin-bottom: 15px;
-            padding: 5px 10px;
-            background: rgba(49, 98, 130, 0.2);
-            border-radius: 3px;
-            text-align: center;
-            font-size: 13px;
-        `;
-        versionIndicator.innerHTML = `Showing compatibility for RimWorld <strong>${sheet.version}</strong>`;
-        panel.appendChild(versionIndicator);
+    function getStatusSnapshot(modId, cache = compatibilityCache) {
+        const statuses = {};
+        getSheets().forEach(sheet => {
+            const modInfo = cache.getSheetModInfo(modId, sheet.gid);
+            if (modInfo && !modInfo.layoutError) {
+                statuses[sheet.gid] = modInfo.status === '0' ? 'untested' : modInfo.status;
+            }
+        });
+        return statuses;
+    }
 
-        // Version selector
-        const versionSelector = createVersionSelectorBar(selectedGid);
-        panel.appendChild(versionSelector);
+    function isWatched(modId) {
+        return modId in getWatchlist();
+    }
 
-        // Version note if exists
-        if (sheet.note) {
-            const noteDiv = document.createElement('div');
-            noteDiv.style.cssText = `
-                color: #ffd700;
-                font-style: italic;
-                margin-bottom: 10px;
-                font-size: 12px;
-            `;
-            noteDiv.textContent = sheet.note;
-            panel.appendChild(noteDiv);
+    function toggleWatched(modId, name) {
+        const watchlist = getWatchlist();
+        if (watchlist[modId]) {
+            delete watchlist[modId];
+        } else {
+            watchlist[modId] = { name, addedAt: Date.now(), statuses: getStatusSnapshot(modId) };
         }
+        GM_setValue(CONSTANTS.WATCHLIST.KEY, watchlist);
+        document.dispatchEvent(new CustomEvent('watchlistChanged', { detail: { modId } }));
+        updateWatchlistIndicator();
+        return Boolean(watchlist[modId]);
+    }
 
-        // Content
-        const contentDiv = document.createElement('div');
-        const status = modInfo.status === '0' ? 'untested' : modInfo.status;
-        const statusColor = CONSTANTS.STATUS.COLORS[status] || CONSTANTS.UI.COLORS.TEXT;
-        const statusDescription = CONSTANTS.STATUS.DESCRIPTIONS[status] || 'Unknown status';
+    /**
+     * Compares every watched mod against freshly loaded data and queues an alert per changed version.
+     */
+    function checkWatchlist(cache) {
+        const watchlist = getWatchlist();
+        const alerts = getWatchlistAlerts();
+        let changed = false;
+
+        for (const [modId, entry] of Object.entries(watchlist)) {
+            const statuses = getStatusSnapshot(modId, cache);
+            for (const [gid, status] of Object.entries(statuses)) {
+                const previous = entry.statuses[gid];
+                if (previous !== undefined && previous !== status) {
+                    alerts.unshift({ modId, name: entry.name, gid, from: previous, to: status, timestamp: cache.timestamp });
+                }
+            }
+            if (JSON.stringify(statuses) !== JSON.stringify(entry.statuses)) {
+                entry.statuses = statuses;
+                changed = true;
+            }
+        }
 
-        // Status container
-        const statusContainer = document.createElement('div');
-        statusContainer.style.cssText = `
-            display: flex;
-            align-items: center;
-            gap: 5px;
-            margin-bottom: 10px;
-        `;
+        if (changed) {
+            GM_setValue(CONSTANTS.WATCHLIST.KEY, watchlist);
+            GM_setValue(CONSTANTS.WATCHLIST.ALERTS_KEY, alerts.slice(0, CONSTANTS.WATCHLIST.ALERTS_LIMIT));
+        }
+        updateWatchlistIndicator();
+    }
 
-        // Spreadsheet link
-        const spreadsheetLink = document.createElement('div');
-        spreadsheetLink.style.cssText = `
-            margin-top: 10px;
-            margin-bottom: 10px;
-        `;
+    function createWatchToggle(modId, name) {
+        const toggle = document.createElement('button');
+        toggle.className = 'mp-compat-watch-toggle';
+        toggle.dataset.modId = modId;
+        toggle.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
 
-        let rowNumber = null;
-        const modId = getModId();
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            toggleWatched(modId, name);
+        });
 
-        // Manual offset for sheets
-        const manualOffsetByGid = {
-            '1144921800': -4,
-            '278315082': -4,
-            '149201791': -5,
-            '0': -5
-        };
+        renderWatchToggle(toggle);
+        return toggle;
+    }
 
-        if (compatibilityCache.data && compatibilityCache.data[selectedGid]) {
-            const sheetData = compatibilityCache.data[selectedGid];
-            const STEAM_ID_COL = 2;
+    function renderWatchToggle(toggle) {
+        const watched = isWatched(toggle.dataset.modId);
+        toggle.textContent = watched ? CONSTANTS.MESSAGES.UI.WATCHING : CONSTANTS.MESSAGES.UI.WATCH;
+        toggle.title = watched ? CONSTANTS.MESSAGES.UI.UNWATCH_TITLE : CONSTANTS.MESSAGES.UI.WATCH_TITLE;
+        toggle.setAttribute('aria-pressed', String(watched));
+    }
 
-            for (let i = 0; i < sheetData.length; i++) {
-                if (sheetData[i][STEAM_ID_COL] === modId) {
-                    const manualOffset = manualOffsetByGid[selectedGid] || 0;
-                    rowNumber = i + 1 + manualOffset;
-                    break;
-                }
-            }
-        }
+    // One listener for every toggle on the page, so rebuilt tooltips and panels don't leave listeners behind
+    document.addEventListener('watchlistChanged', (e) => {
+        document.querySelectorAll('.mp-compat-watch-toggle[data-mod-id]').forEach(toggle => {
+            if (toggle.dataset.modId === e.detail.modId) renderWatchToggle(toggle);
+        });
+    });
 
-        if (rowNumber !== null) {
-            const spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${CONSTANTS.SPREADSHEET.ID}/edit?gid=${selectedGid}&range=C${rowNumber}`;
-            spreadsheetLink.innerHTML = `
-                <a href="${spreadsheetUrl}" target="_blank" style="color: ${CONSTANTS.UI.COLORS.LINK};">
-                    View in Compatibility Spreadsheet
-                </a>
-            `;
-            contentDiv.appendChild(spreadsheetLink);
-        }
+    /**
+     * Helper functions for personal overrides: a local status and private note per mod
+     * and version that take precedence over the sheet.
+     */
+    function getOverrides() {
+        return GM_getValue(CONSTANTS.OVERRIDES.KEY, {});
+    }
 
-        const statusIndicator = document.createElement('span');
-        statusIndicator.style.color = statusColor;
-        statusIndicator.textContent = `Status: ${statusDescription}`;
+    function getOverride(modId, gid) {
+        return getOverrides()[modId]?.[gid] || null;
+    }
 
-        statusContainer.appendChild(statusIndicator);
-        contentDiv.appendChild(statusContainer);
-        contentDiv.innerHTML += `<strong>Notes:</strong> ${modInfo.notes || 'No notes available'}<br>`;
-        panel.appendChild(contentDiv);
+    function setOverride(modId, gid, override) {
+        const overrides = getOverrides();
+        const status = CONSTANTS.STATUS.ORDER.includes(override?.status) ? override.status : null;
+        const note = override?.note?.trim() || '';
 
-        // Cache info and refresh section
-        const cacheSection = document.createElement('div');
-        cacheSection.style.cssText = `
-            margin-top: 15px;
-            padding-top: 10px;
-            border-top: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
-            font-size: 11px;
-            color: #7a8b9d;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        `;
+        if (status || note) {
+            overrides[modId] = { ...overrides[modId], [gid]: { status, note, name: override.name, updatedAt: Date.now() } };
+        } else if (overrides[modId]) {
+            delete overrides[modId][gid];
+            if (!Object.keys(overrides[modId]).length) delete overrides[modId];
+        }
 
-        const lastUpdated = document.createElement('div');
-        lastUpdated.textContent = `Last updated: ${compatibilityCache.getLastUpdated()}`;
+        GM_setValue(CONSTANTS.OVERRIDES.KEY, overrides);
+        document.dispatchEvent(new CustomEvent('overridesChanged', { detail: { modId, gid } }));
+    }
 
-        const refreshButton = document.createElement('button');
-        refreshButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'font-size: 11px;';
-        refreshButton.innerHTML = '🔄 Refresh Data';
+    function applyOverride(modInfo, modId, gid) {
+        const override = getOverride(modId, gid);
+        if (!override) return modInfo;
 
-        refreshButton.addEventListener('click', async () => {
-            try {
-                refreshButton.disabled = true;
-                refreshButton.textContent = 'Refreshing...';
-                await compatibilityCache.refreshCache();
+        return {
+            ...modInfo,
+            status: override.status || modInfo.status,
+            override: { status: override.status, note: override.note, sheetStatus: modInfo.status }
+        };
+    }
 
-                const modId = getModId();
-                const allSheets = CONSTANTS.SPREADSHEET.SHEETS;
-                const currentSheet = allSheets.find(s => s.gid === selectedGid) || allSheets[0];
-                const newModInfo = compatibilityCache.getModInfo(modId, selectedGid);
+    function exportOverrides() {
+        return JSON.stringify({ type: 'overrides', exportedAt: Date.now(), overrides: getOverrides() }, null, 2);
+    }
 
-                const newPanel = createInfoPanel(newModInfo, currentSheet, selectedGid);
+    /**
+     * Merges an exported overrides file into the stored overrides. Imported entries
+     * replace existing ones for the same mod and version.
+     */
+    function importOverrides(json) {
+        let content;
+        try {
+            content = JSON.parse(json);
+        } catch {
+            throw new Error(CONSTANTS.MESSAGES.TOAST.OVERRIDES_INVALID(CONSTANTS.MESSAGES.ERROR.NOT_JSON));
+        }
 
-                const versionSelect = newPanel.querySelector('select');
-                if (versionSelect) {
-                    versionSelect.value = selectedGid;
-                }
+        const imported = content?.overrides;
+        const isValidEntry = (entry) => entry && typeof entry === 'object'
+            && (entry.status === null || entry.status === undefined || CONSTANTS.STATUS.ORDER.includes(entry.status))
+            && (entry.note === undefined || typeof entry.note === 'string');
+        const isValid = imported && typeof imported === 'object' && !Array.isArray(imported)
+            && Object.values(imported).every(versions => versions && typeof versions === 'object'
+                && Object.values(versions).every(isValidEntry));
+        if (!isValid) {
+            throw new Error(CONSTANTS.MESSAGES.TOAST.OVERRIDES_INVALID(CONSTANTS.MESSAGES.ERROR.OVERRIDES_MALFORMED));
+        }
 
-                const versionIndicator = newPanel.querySelector('div:nth-child(2)');
-                if (versionIndicator) {
-                    versionIndicator.innerHTML = `Showing compatibility for RimWorld <strong>${currentSheet.version}</strong>`;
-                }
+        const overrides = getOverrides();
+        Object.entries(imported).forEach(([modId, versions]) => {
+            overrides[modId] = { ...overrides[modId], ...versions };
+        });
+        GM_setValue(CONSTANTS.OVERRIDES.KEY, overrides);
+        document.dispatchEvent(new CustomEvent('overridesChanged', { detail: {} }));
+        return Object.keys(imported).length;
+    }
 
-                panel.replaceWith(newPanel);
-                currentInfoPanel = newPanel;
+    /**
+     * HTML marking a status as a personal override, with the sheet's own status and the private note.
+     */
+    function renderOverrideMarker(modInfo) {
+        if (!modInfo.override) return '';
+
+        const sheetStatus = modInfo.override.sheetStatus === '0' ? 'untested' : modInfo.override.sheetStatus;
+        const sheetLabel = CONSTANTS.STATUS.SHORT_LABELS[sheetStatus] || sheetStatus;
+        return `
+            <div style="margin-top: 5px; color: ${CONSTANTS.OVERRIDES.MARKER_COLOR}; font-size: 11px;">
+                ✎ ${CONSTANTS.MESSAGES.UI.PERSONAL_OVERRIDE}${modInfo.override.status ? ` ${CONSTANTS.MESSAGES.UI.SHEET_SAYS(escapeHtml(sheetLabel))}` : ''}
+            </div>
+            ${modInfo.override.note ? `<div style="font-size: 11px; font-style: italic;">${CONSTANTS.MESSAGES.UI.PRIVATE_NOTE(escapeHtml(modInfo.override.note))}</div>` : ''}
+        `;
+    }
 
-                showToast(CONSTANTS.MESSAGES.TOAST.UPDATE_SUCCESS);
-            } catch (error) {
-                console.error('Failed to refresh data:', error);
-                showToast(CONSTANTS.MESSAGES.TOAST.UPDATE_ERROR, true);
-            } finally {
-                refreshButton.disabled = false;
-                refreshButton.innerHTML = '🔄 Refresh Data';
-            }
+    function createOverrideButton(modId, name, gid) {
+        const button = document.createElement('button');
+        button.className = 'mp-compat-override-button';
+        button.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        button.textContent = CONSTANTS.MESSAGES.UI.OVERRIDE;
+        button.title = CONSTANTS.MESSAGES.UI.OVERRIDE_TITLE;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            openOverrideDialog(modId, name, typeof gid === 'function' ? gid() : gid);
         });
+        return button;
+    }
 
-        cacheSection.appendChild(lastUpdated);
-        cacheSection.appendChild(refreshButton);
-        panel.appendChild(cacheSection);
+    function openOverrideDialog(modId, name, gid) {
+        const sheet = getSheets().find(s => s.gid === gid) || getSheets()[0];
+        const { body, close } = createDialog(CONSTANTS.MESSAGES.UI.OVERRIDE_DIALOG_TITLE(name));
+        const sheetInfo = compatibilityCache.getSheetModInfo(modId, sheet.gid);
+        const sheetStatus = sheetInfo?.status === '0' ? 'untested' : sheetInfo?.status;
+        const override = getOverride(modId, sheet.gid);
+
+        const info = document.createElement('div');
+        info.style.cssText = 'font-size: 12px; margin-bottom: 10px;';
+        info.textContent = CONSTANTS.MESSAGES.UI.OVERRIDE_INFO(sheet.version, CONSTANTS.STATUS.DESCRIPTIONS[sheetStatus] || CONSTANTS.MESSAGES.UI.NO_DATA);
+
+        const statusSelect = document.createElement('select');
+        statusSelect.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'display: block; margin-bottom: 10px;';
+        [['', CONSTANTS.MESSAGES.UI.USE_SHEET_STATUS], ...CONSTANTS.STATUS.ORDER.map(status => [status, `${getStatusIcon(status)} ${CONSTANTS.STATUS.SHORT_LABELS[status]}`])]
+            .forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                option.selected = (override?.status || '') === value;
+                statusSelect.appendChild(option);
+            });
 
-        return panel;
-    }
+        const noteInput = document.createElement('textarea');
+        noteInput.rows = 4;
+        noteInput.placeholder = CONSTANTS.MESSAGES.UI.OVERRIDE_NOTE_PLACEHOLDER;
+        noteInput.value = override?.note || '';
+        noteInput.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            margin-bottom: 10px;
+            background: #0e141b;
+            color: ${CONSTANTS.UI.COLORS.TEXT};
+            border: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+        `;
 
-    function createErrorPanel(errorMessage) {
-        const panel = document.createElement('div');
-        panel.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel + `
-        border-color: #ff4444;
-        color: #ff4444;
-    `;
+        const actions = document.createElement('div');
+        actions.style.cssText = `display: flex; justify-content: flex-end; gap: ${CONSTANTS.UI.SPACING.SMALL};`;
 
-        panel.innerHTML = `
-        <strong>RimWorld Multiplayer Compatibility</strong><br><br>
-        ${errorMessage}
-    `;
+        const saveChanges = (newOverride, message) => {
+            setOverride(modId, sheet.gid, newOverride);
+            showToast(message);
+            close();
+            updateAllContent(gid);
+        };
 
-        if (currentInfoPanel) {
-            currentInfoPanel.replaceWith(panel);
-            currentInfoPanel = panel;
-        } else {
-            const descriptionElement = document.querySelector('.workshopItemDescription');
-            if (descriptionElement) {
-                descriptionElement.parentElement.insertBefore(panel, descriptionElement);
-                currentInfoPanel = panel;
-            }
-        }
+        const removeButton = document.createElement('button');
+        removeButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        removeButton.textContent = CONSTANTS.MESSAGES.UI.REMOVE_OVERRIDE;
+        removeButton.disabled = !override;
+        removeButton.addEventListener('click', () => saveChanges(null, CONSTANTS.MESSAGES.TOAST.OVERRIDE_REMOVED));
+
+        const saveButton = document.createElement('button');
+        saveButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        saveButton.textContent = CONSTANTS.MESSAGES.UI.SAVE;
+        saveButton.addEventListener('click', () => {
+            const newOverride = { status: statusSelect.value || null, note: noteInput.value, name };
+            const removed = !newOverride.status && !newOverride.note.trim();
+            saveChanges(newOverride, removed ? CONSTANTS.MESSAGES.TOAST.OVERRIDE_REMOVED : CONSTANTS.MESSAGES.TOAST.OVERRIDE_SAVED);
+        });
+
+        actions.append(removeButton, saveButton);
+        body.append(info, statusSelect, noteInput, actions);
     }
 
-    async function addVersionSelectorToPages() {
-        if (!isRimworldWorkshopPage() && !isRimworldCollectionPage()) return;
+    function updateWatchlistIndicator() {
+        const statusIndicator = document.getElementById('mp-compatibility-status');
+        if (!statusIndicator) return;
 
-        let attempts = 0;
-        while (!compatibilityCache.initialized && attempts < CONSTANTS.CACHE.REFRESH_ATTEMPTS) {
-            await new Promise(resolve => setTimeout(resolve, CONSTANTS.CACHE.REFRESH_INTERVAL));
-            attempts++;
-        }
+        let badge = document.getElementById('mp-compatibility-watchlist');
+        const watchedCount = Object.keys(getWatchlist()).length;
+        const alertCount = getWatchlistAlerts().length;
 
-        if (!compatibilityCache.initialized) {
-            console.error(CONSTANTS.MESSAGES.ERROR.CACHE_WORKSHOP);
+        if (!watchedCount && !alertCount) {
+            badge?.remove();
             return;
         }
 
-        const defaultGid = getDefaultVersion() || CONSTANTS.SPREADSHEET.SHEETS[0].gid;
-        const versionSelectorBar = createVersionSelectorBar(defaultGid);
+        if (!badge) {
+            badge = document.createElement('button');
+            badge.id = 'mp-compatibility-watchlist';
+            badge.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + `
+                font-size: 12px;
+                margin-right: 10px;
+            `;
+            badge.addEventListener('click', openWatchlistDialog);
+            statusIndicator.insertAdjacentElement('afterend', badge);
+        }
+        badge.textContent = alertCount
+            ? CONSTANTS.MESSAGES.UI.WATCHLIST_ALERTS(alertCount)
+            : CONSTANTS.MESSAGES.UI.WATCHLIST_BADGE(watchedCount);
+        badge.style.color = alertCount ? '#ffd700' : CONSTANTS.UI.COLORS.TEXT;
+    }
 
-        if (isRimworldWorkshopPage()) {
-            const searchedTermsContainer = document.querySelector('.searchedTermsContainer');
-            if (searchedTermsContainer) {
-                versionSelectorBar.style.marginBottom = '20px';
-                if (searchedTermsContainer.querySelector('.workshop_browsing')) {
-                    searchedTermsContainer.querySelector('.workshop_browsing').style.marginTop = '10px';
-                }
-                searchedTermsContainer.parentElement.insertBefore(versionSelectorBar, searchedTermsContainer);
+    function openWatchlistDialog() {
+        const { body } = createDialog(CONSTANTS.MESSAGES.UI.WATCHLIST_TITLE);
+        const selectedGid = getDefaultVersion() || getSheets()[0].gid;
+        const sheetVersion = (gid) => getSheets().find(s => s.gid === gid)?.version || gid;
+        const modLink = (modId, name) => {
+            const link = document.createElement('a');
+            link.href = `https://steamcommunity.com/sharedfiles/filedetails/?id=${modId}`;
+            link.target = '_blank';
+            link.style.color = CONSTANTS.UI.COLORS.LINK;
+            link.textContent = name || modId;
+            return link;
+        };
+
+        const render = () => {
+            body.innerHTML = '';
+            const alerts = getWatchlistAlerts();
+            const watchlist = getWatchlist();
+
+            if (alerts.length) {
+                const alertsHeading = document.createElement('div');
+                alertsHeading.style.cssText = 'font-weight: bold; color: #ffd700; margin-bottom: 5px;';
+                alertsHeading.textContent = CONSTANTS.MESSAGES.UI.STATUS_CHANGES;
+                body.appendChild(alertsHeading);
+
+                alerts.forEach(alert => {
+                    const row = document.createElement('div');
+                    row.style.cssText = 'margin: 3px 0 3px 15px; font-size: 12px;';
+                    row.append(
+                        modLink(alert.modId, alert.name),
+                        ` — ${CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(sheetVersion(alert.gid))}: ${describeChange({ ...alert, kind: 'statusChanged' })} (${new Date(alert.timestamp).toLocaleDateString()})`
+                    );
+                    body.appendChild(row);
+                });
+
+                const clearButton = document.createElement('button');
+                clearButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'margin: 5px 0 15px;';
+                clearButton.textContent = CONSTANTS.MESSAGES.UI.CLEAR_ALERTS;
+                clearButton.addEventListener('click', () => {
+                    GM_setValue(CONSTANTS.WATCHLIST.ALERTS_KEY, []);
+                    updateWatchlistIndicator();
+                    render();
+                });
+                body.appendChild(clearButton);
             }
-        } else if (isRimworldCollectionPage()) {
-            const collectionHeader = document.querySelector('.collectionHeader');
-            if (collectionHeader) {
-                collectionHeader.parentElement.insertBefore(versionSelectorBar, collectionHeader);
+
+            const listHeading = document.createElement('div');
+            listHeading.style.cssText = `font-weight: bold; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; margin-bottom: 5px;`;
+            listHeading.textContent = CONSTANTS.MESSAGES.UI.WATCHED_MODS(sheetVersion(selectedGid), Object.keys(watchlist).length);
+            body.appendChild(listHeading);
+
+            if (!Object.keys(watchlist).length) {
+                const empty = document.createElement('div');
+                empty.style.fontSize = '12px';
+                empty.textContent = CONSTANTS.MESSAGES.UI.NO_WATCHED;
+                body.appendChild(empty);
             }
-        }
+
+            Object.entries(watchlist)
+                .sort(([, a], [, b]) => (a.name || '').localeCompare(b.name || ''))
+                .forEach(([modId, entry]) => {
+                    const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
+                    const status = !modInfo ? 'untested' : (modInfo.status === '0' ? 'untested' : modInfo.status);
+
+                    const row = document.createElement('div');
+                    row.style.cssText = `
+                        display: flex;
+                        align-items: center;
+                        gap: ${CONSTANTS.UI.SPACING.SMALL};
+                        margin: 3px 0;
+                        font-size: 12px;
+                    `;
+
+                    const icon = document.createElement('span');
+                    icon.style.color = getStatusColor(status);
+                    icon.textContent = getStatusIcon(status) || '';
+                    icon.title = CONSTANTS.STATUS.DESCRIPTIONS[status] || '';
+
+                    const link = modLink(modId, entry.name);
+                    link.style.flex = '1';
+
+                    const removeButton = document.createElement('button');
+                    removeButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'font-size: 11px;';
+                    removeButton.textContent = CONSTANTS.MESSAGES.UI.UNWATCH;
+                    removeButton.addEventListener('click', () => {
+                        toggleWatched(modId, entry.name);
+                        render();
+                    });
+
+                    row.append(icon, link, removeButton);
+                    body.appendChild(row);
+                });
+        };
+
+        render();
     }
-    async function addWorkshopIcons() {
-        if (!isRimworldWorkshopPage() && !isRimworldCollectionPage()) return;
 
-        let attempts = 0;
-        while (!compatibilityCache.initialized && attempts < CONSTANTS.CACHE.REFRESH_ATTEMPTS) {
-            await new Promise(resolve => setTimeout(resolve, CONSTANTS.CACHE.REFRESH_INTERVAL));
-            attempts++;
+    /**
+     * Reads the RimWorld versions a mod declares through its Workshop tags, newest first.
+     */
+    function getDeclaredVersions() {
+        const detailsBlock = document.querySelector('.rightDetailsBlock');
+        if (!detailsBlock) return [];
+
+        const versions = Array.from(detailsBlock.getElementsByTagName('a'))
+            .map(a => a.textContent.trim())
+            .filter(text => parseVersion(text));
+        return [...new Set(versions)].sort(compareVersionsDescending);
+    }
+
+    /**
+     * Picks the sheet for the current mod page and explains the choice. The newest
+     * declared version with its own sheet wins; declared versions newer than any sheet
+     * fall through to the next one that is covered.
+     */
+    function detectModVersionDetails() {
+        const sheets = getSheets();
+        const declared = getDeclaredVersions();
+        const defaultVersion = getDefaultVersion();
+
+        if (defaultVersion) {
+            return { gid: defaultVersion, declared, reason: CONSTANTS.MESSAGES.UI.REASON_DEFAULT };
         }
 
-        if (!compatibilityCache.initialized) {
-            console.error(CONSTANTS.MESSAGES.ERROR.CACHE_WORKSHOP);
-            return;
+        if (!declared.length) {
+            return { gid: sheets[0].gid, declared, reason: CONSTANTS.MESSAGES.UI.REASON_NO_TAGS };
         }
 
-        const style = document.createElement('style');
-        style.textContent = `
-        .mp-compat-icon {
-            position: absolute;
-            top: 5px;
-            right: 5px;
-            background: rgba(0, 0, 0, 0.8);
-            padding: 2px 6px;
-            border-radius: 3px;
-            font-size: 16px;
-            z-index: 10;
-            cursor: help;
-            pointer-events: all;
+        for (const version of declared) {
+            const sheet = sheets.find(s => s.versions?.includes(version));
+            if (!sheet) continue;
+
+            const reason = version === declared[0]
+                ? CONSTANTS.MESSAGES.UI.REASON_NEWEST(version)
+                : CONSTANTS.MESSAGES.UI.REASON_FALLTHROUGH(declared.slice(0, declared.indexOf(version)).join(', '), version);
+            return { gid: sheet.gid, declared, reason };
         }
-        .mp-compat-tooltip {
-            display: none;
-            position: fixed;
-            background: ${CONSTANTS.UI.COLORS.BACKGROUND};
+
+        return { gid: sheets[0].gid, declared, reason: CONSTANTS.MESSAGES.UI.REASON_UNCOVERED };
+    }
+
+    function detectModVersion() {
+        return detectModVersionDetails().gid;
+    }
+
+    /**
+     * HTML for fuzzy name match candidates, shown in place of a flat "untested".
+     */
+    function renderPossibleMatches(matches) {
+        if (!matches?.length) return '';
+
+        return `
+            <div style="margin-top: 8px; color: ${CONSTANTS.UI.COLORS.LINK}; font-size: 11px;">${CONSTANTS.MESSAGES.UI.POSSIBLE_MATCHES}</div>
+            ${matches.map(match => `
+                <div style="margin: 3px 0;">
+                    <span style="color: ${getStatusColor(match.status)};">${getStatusIcon(match.status) || ''}</span>
+                    <a href="https://steamcommunity.com/sharedfiles/filedetails/?id=${escapeHtml(match.steamId)}"
+                       target="_blank"
+                       style="color: ${CONSTANTS.UI.COLORS.LINK};">${escapeHtml(match.name)}</a>
+                    <span style="opacity: 0.7;">${CONSTANTS.MESSAGES.UI.MATCH_CONFIDENCE(Math.round(match.confidence * 100), CONSTANTS.STATUS.SHORT_LABELS[match.status] || escapeHtml(match.status))}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    function createTooltip(modInfo, defaultGid, modId, modName) {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'mp-compat-tooltip';
+        tooltip.dataset.modId = modId;
+        tooltip.setAttribute('role', 'dialog');
+        tooltip.setAttribute('aria-label', CONSTANTS.MESSAGES.UI.TOOLTIP_LABEL(modName));
+        const watchToggle = createWatchToggle(modId, modName);
+        const overrideButton = createOverrideButton(modId, modName, () => defaultGid);
+        const tooltipActions = document.createElement('div');
+        tooltipActions.style.cssText = `display: flex; gap: ${CONSTANTS.UI.SPACING.SMALL}; margin-top: ${CONSTANTS.UI.SPACING.MEDIUM};`;
+        tooltipActions.append(watchToggle, overrideButton);
+
+        const updateTooltipContent = () => {
+            const activeSheet = getSheets().find(s => s.gid === defaultGid) || getSheets()[0];
+            const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+
+            const ageLabel = compatibilityCache.getAgeLabel();
+            const versionInfo = defaultGid
+                ? `<div class="mp-compat-version">${CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(escapeHtml(activeSheet.version))} ${CONSTANTS.MESSAGES.UI.DEFAULT_SUFFIX}${ageLabel ? ` · ${ageLabel}` : ''}</div>`
+                : `<div class="mp-compat-version">${CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(escapeHtml(activeSheet.version))}${ageLabel ? ` · ${ageLabel}` : ''}</div>`;
+
+            tooltip.innerHTML = `
+            ${versionInfo}
+            <strong>${CONSTANTS.STATUS.DESCRIPTIONS[status]}</strong>
+            <div class="mp-compat-override">${renderOverrideMarker(modInfo)}</div>
+            <div class="mp-compat-tooltip-notes">${escapeHtml(modInfo.notes)}</div>
+            <div class="mp-compat-possible-matches">${renderPossibleMatches(modInfo.possibleMatches)}</div>
+        `;
+            tooltip.appendChild(tooltipActions);
+        };
+
+        updateTooltipContent();
+
+        document.addEventListener('defaultVersionChanged', () => {
+            const newDefaultGid = getDefaultVersion() || getSheets()[0].gid;
+            if (newDefaultGid !== defaultGid) {
+                defaultGid = newDefaultGid;
+                updateTooltipContent();
+            }
+        });
+
+        return tooltip;
+    }
+
+    function createVersionSelectorBar(selectedGid) {
+        const container = document.createElement('div');
+        container.style.cssText = `
+        background-color: ${CONSTANTS.UI.COLORS.BACKGROUND};
+        border-bottom-width: 1px;
+        border-bottom-style: solid;
+        border-bottom-color: ${CONSTANTS.UI.COLORS.BORDER};
+        padding: ${CONSTANTS.UI.SPACING.MEDIUM};
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: ${CONSTANTS.UI.SPACING.MEDIUM};
+        font-size: 14px;
+        color: ${CONSTANTS.UI.COLORS.TEXT};
+    `;
+
+        const label = document.createElement('label');
+        label.textContent = CONSTANTS.MESSAGES.UI.VERSION_LABEL;
+
+        const select = document.createElement('select');
+        select.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+
+        getSheets().forEach(sheet => {
+            const option = document.createElement('option');
+            option.value = sheet.gid;
+            option.textContent = sheet.version;
+            if (sheet.gid === selectedGid) {
+                option.selected = true;
+            }
+            select.appendChild(option);
+        });
+
+        const setDefaultButton = document.createElement('button');
+        setDefaultButton.textContent = CONSTANTS.MESSAGES.UI.SET_DEFAULT;
+        setDefaultButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        setDefaultButton.addEventListener('click', () => setDefaultVersion(select.value));
+
+        const clearDefaultButton = document.createElement('button');
+        clearDefaultButton.textContent = CONSTANTS.MESSAGES.UI.CLEAR_DEFAULT;
+        clearDefaultButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        clearDefaultButton.addEventListener('click', () => setDefaultVersion(null));
+
+        const importListButton = document.createElement('button');
+        importListButton.textContent = CONSTANTS.MESSAGES.UI.CHECK_MOD_LIST;
+        importListButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        importListButton.addEventListener('click', () => openModListImportDialog(select.value));
+
+        select.addEventListener('change', async (e) => {
+            await updateAllContent(e.target.value);
+        });
+
+        container.appendChild(label);
+        container.appendChild(select);
+        container.appendChild(setDefaultButton);
+        container.appendChild(clearDefaultButton);
+        container.appendChild(importListButton);
+
+        return container;
+    }
+
+    /**
+     * Helper functions for the workshop browse status filter
+     */
+    function getStatusFilter() {
+        const saved = GM_getValue(CONSTANTS.UI.FILTER.KEY, null);
+        return {
+            mode: saved?.mode === 'hide' ? 'hide' : 'dim',
+            filtered: Array.isArray(saved?.filtered) ? saved.filtered : []
+        };
+    }
+
+    function setStatusFilter(filter) {
+        GM_setValue(CONSTANTS.UI.FILTER.KEY, filter);
+        applyStatusFilter();
+    }
+
+    function applyStatusFilter() {
+        if (!isRimworldWorkshopPage()) return;
+
+        const filter = getStatusFilter();
+        document.querySelectorAll('.workshopItem').forEach(item => {
+            const status = item.dataset.mpCompatStatus;
+            const isFiltered = status !== undefined && filter.filtered.includes(status);
+            item.style.opacity = isFiltered && filter.mode === 'dim' ? CONSTANTS.UI.FILTER.DIM_OPACITY : '';
+            item.style.display = isFiltered && filter.mode === 'hide' ? 'none' : '';
+        });
+    }
+
+    function createStatusFilterBar() {
+        const container = document.createElement('div');
+        container.className = 'mp-compat-filter-bar';
+        container.style.cssText = `
+        background-color: ${CONSTANTS.UI.COLORS.BACKGROUND};
+        border-bottom-width: 1px;
+        border-bottom-style: solid;
+        border-bottom-color: ${CONSTANTS.UI.COLORS.BORDER};
+        padding: ${CONSTANTS.UI.SPACING.MEDIUM};
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: center;
+        gap: ${CONSTANTS.UI.SPACING.SMALL};
+        font-size: 13px;
+        color: ${CONSTANTS.UI.COLORS.TEXT};
+    `;
+
+        const label = document.createElement('label');
+        label.textContent = CONSTANTS.MESSAGES.UI.FILTER_SHOW;
+        container.appendChild(label);
+
+        const updateToggle = (button) => {
+            const isShown = !getStatusFilter().filtered.includes(button.dataset.status);
+            button.setAttribute('aria-pressed', String(isShown));
+            button.style.opacity = isShown ? '1' : '0.5';
+            button.style.textDecoration = isShown ? 'none' : 'line-through';
+        };
+
+        CONSTANTS.STATUS.ORDER.forEach(status => {
+            const toggle = document.createElement('button');
+            toggle.dataset.status = status;
+            toggle.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + `color: ${getStatusColor(status)};`;
+            toggle.textContent = `${getStatusIcon(status)} ${CONSTANTS.STATUS.SHORT_LABELS[status]}`;
+            toggle.title = CONSTANTS.STATUS.DESCRIPTIONS[status];
+            toggle.addEventListener('click', () => {
+                const filter = getStatusFilter();
+                filter.filtered = filter.filtered.includes(status)
+                    ? filter.filtered.filter(s => s !== status)
+                    : [...filter.filtered, status];
+                setStatusFilter(filter);
+                updateToggle(toggle);
+            });
+            updateToggle(toggle);
+            container.appendChild(toggle);
+        });
+
+        const modeSelect = document.createElement('select');
+        modeSelect.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        [['dim', CONSTANTS.MESSAGES.UI.FILTER_DIM], ['hide', CONSTANTS.MESSAGES.UI.FILTER_HIDE]].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            option.selected = getStatusFilter().mode === value;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', () => {
+            setStatusFilter({ ...getStatusFilter(), mode: modeSelect.value });
+        });
+        container.appendChild(modeSelect);
+
+        return container;
+    }
+
+    function createInfoPanel(modInfo, sheet = getSheets()[0], selectedGid = getSheets()[0].gid) {
+        const panel = document.createElement('div');
+        panel.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel;
+        panel.dataset.gid = selectedGid;
+
+        // Title
+        const titleDiv = document.createElement('div');
+        titleDiv.style.cssText = `
+            font-size: 16px;
+            font-weight: bold;
+            margin-bottom: 15px;
+            color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT};
+            text-align: center;
+            border-bottom-width: 1px;
+            border-bottom-style: solid;
+            border-bottom-color: ${CONSTANTS.UI.COLORS.BORDER};
+            padding-bottom: 10px;
+        `;
+        titleDiv.textContent = CONSTANTS.MESSAGES.UI.PANEL_TITLE;
+        panel.appendChild(titleDiv);
+
+        // Version indicator
+        const versionIndicator = document.createElement('div');
+        versionIndicator.style.cssText = `
             color: ${CONSTANTS.UI.COLORS.TEXT};
-            padding: 15px 20px;
+            margin-bottom: 15px;
+            padding: 5px 10px;
+            background: rgba(49, 98, 130, 0.2);
             border-radius: 3px;
+            text-align: center;
             font-size: 13px;
-            z-index: 1001;
-            min-width: 250px;
-            max-width: 400px;
-            white-space: normal;
-            margin-top: 8px;
-            border-width: 1px;
-            border-style: solid;
-            border-color: ${CONSTANTS.UI.COLORS.BORDER};
-            box-shadow: 0 0 10px rgba(0, 0, 0, 0.5);
-            pointer-events: all;
-        }
-        .mp-compat-tooltip strong {
-            color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT};
-            display: block;
-            margin-bottom: 8px;
-            font-size: 14px;
-            line-height: 1.4;
-        }
-        .mp-compat-tooltip-notes {
-            max-height: 200px;
-            overflow-y: auto;
-            padding-right: 10px;
-            line-height: 1.5;
-        }
-        .mp-compat-tooltip-notes::-webkit-scrollbar {
-            width: 6px;
-        }
-        .mp-compat-tooltip-notes::-webkit-scrollbar-track {
-            background: #2a475e;
+        `;
+        versionIndicator.innerHTML = CONSTANTS.MESSAGES.UI.SHOWING_VERSION(escapeHtml(sheet.version));
+        panel.appendChild(versionIndicator);
+
+        // Version selector
+        const versionSelector = createVersionSelectorBar(selectedGid);
+        panel.appendChild(versionSelector);
+
+        // Declared versions and why this sheet was chosen
+        const detection = detectModVersionDetails();
+        const detectionInfo = document.createElement('div');
+        detectionInfo.className = 'mp-compat-version-detection';
+        detectionInfo.style.cssText = `
+            color: #7a8b9d;
+            margin: 10px 0;
+            font-size: 12px;
+        `;
+        const declaredText = detection.declared.length
+            ? CONSTANTS.MESSAGES.UI.DECLARES_VERSIONS(detection.declared.join(', '))
+            : CONSTANTS.MESSAGES.UI.DECLARES_NONE;
+        const chosenText = detection.gid === selectedGid
+            ? CONSTANTS.MESSAGES.UI.USING_SHEET(sheet.version, detection.reason)
+            : CONSTANTS.MESSAGES.UI.SHOWING_SHEET(sheet.version);
+        detectionInfo.textContent = `${declaredText} ${chosenText}`;
+        panel.appendChild(detectionInfo);
+
+        // Changes since the last visit to this mod page
+        if (currentModChanges.length) {
+            const updatedMarker = document.createElement('div');
+            updatedMarker.className = 'mp-compat-updated-marker';
+            updatedMarker.style.cssText = `
+                margin: 10px 0;
+                padding: 5px 10px;
+                border: 1px solid ${CONSTANTS.UI.COLORS.LINK};
+                border-radius: 3px;
+                font-size: 12px;
+            `;
+            updatedMarker.innerHTML = `<strong style="color: ${CONSTANTS.UI.COLORS.LINK};">${CONSTANTS.MESSAGES.UI.UPDATED_SINCE_VISIT}</strong>`;
+            currentModChanges.forEach(change => {
+                const line = document.createElement('div');
+                const version = getSheets().find(s => s.gid === change.gid)?.version || change.gid;
+                line.textContent = `${CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(version)}: ${describeChange(change)} (${new Date(change.timestamp).toLocaleDateString()})`;
+                updatedMarker.appendChild(line);
+            });
+            panel.appendChild(updatedMarker);
         }
-        .mp-compat-tooltip-notes::-webkit-scrollbar-thumb {
-            background: ${CONSTANTS.UI.COLORS.LINK};
+
+        // Version note if exists
+        if (sheet.note) {
+            const noteDiv = document.createElement('div');
+            noteDiv.style.cssText = `
+                color: #ffd700;
+                font-style: italic;
+                margin-bottom: 10px;
+                font-size: 12px;
+            `;
+            noteDiv.textContent = sheet.note;
+            panel.appendChild(noteDiv);
         }
-        .workshopItem.tooltip-hover {
-            pointer-events: none !important;
+
+        // Content
+        const contentDiv = document.createElement('div');
+        const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+        const statusColor = getStatusColor(status) || CONSTANTS.UI.COLORS.TEXT;
+        const statusDescription = CONSTANTS.STATUS.DESCRIPTIONS[status] || CONSTANTS.MESSAGES.UI.UNKNOWN_STATUS;
+
+        // Status container
+        const statusContainer = document.createElement('div');
+        statusContainer.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 5px;
+            margin-bottom: 10px;
+        `;
+
+        // Spreadsheet link
+        const spreadsheetLink = document.createElement('div');
+        spreadsheetLink.style.cssText = `
+            margin-top: 10px;
+            margin-bottom: 10px;
+        `;
+
+        const modId = getModId();
+        const sourceRange = compatibilityCache.getSourceRange(modId, selectedGid);
+
+        if (sourceRange !== null && getSpreadsheetId()) {
+            const spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${getSpreadsheetId()}/edit?gid=${selectedGid}&range=${sourceRange}`;
+            spreadsheetLink.innerHTML = `
+                <a href="${spreadsheetUrl}" target="_blank" style="color: ${CONSTANTS.UI.COLORS.LINK};">
+                    ${CONSTANTS.MESSAGES.UI.VIEW_IN_SPREADSHEET}
+                </a>
+            `;
+            contentDiv.appendChild(spreadsheetLink);
         }
-        .mp-compat-version {
-            color: ${CONSTANTS.UI.COLORS.LINK};
-            font-size: 11px;
-            margin-bottom: 5px;
-            opacity: 0.8;
+
+        if (modInfo.layoutError) {
+            const layoutError = document.createElement('div');
+            layoutError.style.cssText = `
+                color: #ff4444;
+                border: 1px solid #ff4444;
+                border-radius: 3px;
+                padding: 5px 10px;
+                margin-bottom: 10px;
+            `;
+            layoutError.textContent = modInfo.notes;
+            panel.appendChild(layoutError);
         }
-    `;
 
-        document.head.appendChild(style);
+        const statusIndicator = document.createElement('span');
+        statusIndicator.style.color = statusColor;
+        statusIndicator.textContent = CONSTANTS.MESSAGES.UI.STATUS(statusDescription);
 
-        const processWorkshopItems = () => {
+        statusContainer.appendChild(statusIndicator);
+        contentDiv.appendChild(statusContainer);
+        contentDiv.innerHTML += renderOverrideMarker(modInfo);
+        contentDiv.innerHTML += `<strong>${CONSTANTS.MESSAGES.UI.NOTES}</strong> ${escapeHtml(modInfo.notes || CONSTANTS.MESSAGES.UI.NO_NOTES)}<br>`;
+        if (modInfo.possibleMatches?.length) {
+            contentDiv.innerHTML += `
+                <div class="mp-compat-possible-matches" style="margin-top: 10px; font-size: 12px;">
+                    ${CONSTANTS.MESSAGES.UI.DIFFERENT_STEAM_ID}
+                    ${renderPossibleMatches(modInfo.possibleMatches)}
+                </div>
+            `;
+        }
+        panel.appendChild(contentDiv);
+
+        const reportButton = document.createElement('button');
+        reportButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'font-size: 12px; margin-top: 10px;';
+        reportButton.textContent = CONSTANTS.MESSAGES.UI.REPORT;
+        reportButton.title = CONSTANTS.MESSAGES.UI.REPORT_TITLE;
+        reportButton.addEventListener('click', () => openSubmissionDialog(modId, getModTitle() || modId, selectedGid));
+        panel.appendChild(reportButton);
+
+        // Compatibility across all versions
+        panel.appendChild(createVersionMatrix(modId, selectedGid));
+
+        // Cache info and refresh section
+        const cacheSection = document.createElement('div');
+        cacheSection.style.cssText = `
+            margin-top: 15px;
+            padding-top: 10px;
+            border-top: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            font-size: 11px;
+            color: #7a8b9d;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        `;
+
+        const lastUpdated = document.createElement('div');
+        lastUpdated.textContent = CONSTANTS.MESSAGES.UI.LAST_UPDATED(compatibilityCache.getLastUpdated(), formatAge(compatibilityCache.timestamp));
+        if (compatibilityCache.getAgeLabel()) {
+            lastUpdated.style.color = '#ff8c1a';
+            lastUpdated.textContent += compatibilityCache.isOffline() ? CONSTANTS.MESSAGES.UI.OFFLINE_SUFFIX : CONSTANTS.MESSAGES.UI.STALE_SUFFIX;
+        }
+
+        const refreshButton = document.createElement('button');
+        refreshButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'font-size: 11px;';
+        refreshButton.textContent = CONSTANTS.MESSAGES.UI.REFRESH;
+
+        refreshButton.addEventListener('click', async () => {
+            try {
+                refreshButton.disabled = true;
+                refreshButton.textContent = CONSTANTS.MESSAGES.UI.REFRESHING;
+                await compatibilityCache.refreshCache();
+
+                const modId = getModId();
+                const allSheets = getSheets();
+                const currentSheet = allSheets.find(s => s.gid === selectedGid) || allSheets[0];
+                const newModInfo = compatibilityCache.getModInfo(modId, selectedGid, getModTitle());
+
+                const newPanel = createInfoPanel(newModInfo, currentSheet, selectedGid);
+
+                const versionSelect = newPanel.querySelector('select');
+                if (versionSelect) {
+                    versionSelect.value = selectedGid;
+                }
+
+                const versionIndicator = newPanel.querySelector('div:nth-child(2)');
+                if (versionIndicator) {
+                    versionIndicator.innerHTML = CONSTANTS.MESSAGES.UI.SHOWING_VERSION(escapeHtml(currentSheet.version));
+                }
+
+                panel.replaceWith(newPanel);
+                currentInfoPanel = newPanel;
+
+                showToast(CONSTANTS.MESSAGES.TOAST.UPDATE_SUCCESS);
+            } catch (error) {
+                console.error('Failed to refresh data:', error);
+                showToast(CONSTANTS.MESSAGES.TOAST.UPDATE_ERROR, true);
+            } finally {
+                refreshButton.disabled = false;
+                refreshButton.textContent = CONSTANTS.MESSAGES.UI.REFRESH;
+            }
+        });
+
+        const watchToggle = createWatchToggle(modId, getModTitle() || modId);
+        watchToggle.style.fontSize = '11px';
+
+        const cacheActions = document.createElement('div');
+        cacheActions.style.cssText = `display: flex; gap: ${CONSTANTS.UI.SPACING.SMALL};`;
+        const overrideButton = createOverrideButton(modId, getModTitle() || modId, selectedGid);
+        overrideButton.style.fontSize = '11px';
+
+        cacheActions.append(watchToggle, overrideButton, refreshButton);
+
+        cacheSection.appendChild(lastUpdated);
+        cacheSection.appendChild(cacheActions);
+        panel.appendChild(cacheSection);
+
+        return panel;
+    }
+
+    /**
+     * Formats a compatibility report for the spreadsheet maintainers, with the sheet's
+     * current entry alongside so they can see what would change. The report is for the
+     * maintainers, so its headings stay in English whatever the UI language.
+     */
+    function buildSubmissionReport(report) {
+        const { STATUS_LABELS } = CONSTANTS.MESSAGES.REPORT;
+        const statusLabel = (status) => status === 'untested'
+            ? STATUS_LABELS.untested
+            : `${status} - ${STATUS_LABELS[status]}`;
+        const steps = report.steps.split(/\r?\n/).map(step => step.trim()).filter(Boolean);
+
+        return [
+            '**RimWorld Multiplayer Compatibility Report**',
+            '',
+            `- Mod Name: ${report.name}`,
+            `- Steam ID: ${report.steamId}`,
+            `- Workshop: https://steamcommunity.com/sharedfiles/filedetails/?id=${report.steamId}`,
+            `- RimWorld Version: ${report.version}`,
+            `- Reported Status: ${statusLabel(report.status)}`,
+            `- Current Sheet Entry: ${report.currentEntry
+                ? `${statusLabel(report.currentEntry.status)}${report.currentEntry.range ? ` (cell ${report.currentEntry.range})` : ''}: ${report.currentEntry.notes}`
+                : 'Not listed'}`,
+            '',
+            '**Notes**',
+            report.notes.trim() || 'None',
+            '',
+            '**Steps to Reproduce**',
+            ...(steps.length ? steps.map((step, i) => `${i + 1}. ${step.replace(/^\d+[.)]\s*/, '')}`) : ['None'])
+        ].join('\n');
+    }
+
+    function openSubmissionDialog(modId, name, selectedGid) {
+        const { body, close } = createDialog(CONSTANTS.MESSAGES.UI.SUBMISSION_TITLE(name));
+        const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
+        const fieldStyle = `
+            display: block;
+            width: 100%;
+            box-sizing: border-box;
+            margin: 3px 0 10px;
+            background: #0e141b;
+            color: ${CONSTANTS.UI.COLORS.TEXT};
+            border: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+        `;
+        const createField = (labelText, input) => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: block; font-size: 12px;';
+            label.append(labelText, input);
+            return label;
+        };
+        const createSelect = (options, selected) => {
+            const select = document.createElement('select');
+            select.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'display: block; margin: 3px 0 10px;';
+            options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                option.selected = value === selected;
+                select.appendChild(option);
+            });
+            return select;
+        };
+
+        const currentStatus = modInfo?.status === '0' ? 'untested' : modInfo?.status;
+        const statusSelect = createSelect(
+            CONSTANTS.STATUS.ORDER.map(status => [status, `${getStatusIcon(status)} ${CONSTANTS.STATUS.DESCRIPTIONS[status]}`]),
+            currentStatus || 'untested'
+        );
+        const versionSelect = createSelect(getSheets().map(sheet => [sheet.gid, sheet.version]), selectedGid);
+
+        const notesInput = document.createElement('textarea');
+        notesInput.rows = 3;
+        notesInput.placeholder = CONSTANTS.MESSAGES.UI.SUBMISSION_NOTES_PLACEHOLDER;
+        notesInput.value = modInfo?.override?.note || '';
+        notesInput.style.cssText = fieldStyle;
+
+        const stepsInput = document.createElement('textarea');
+        stepsInput.rows = 4;
+        stepsInput.placeholder = CONSTANTS.MESSAGES.UI.SUBMISSION_STEPS_PLACEHOLDER;
+        stepsInput.style.cssText = fieldStyle;
+
+        const collectReport = () => {
+            const gid = versionSelect.value;
+            const sheetInfo = compatibilityCache.getSheetModInfo(modId, gid);
+            const range = compatibilityCache.getSourceRange(modId, gid);
+            return buildSubmissionReport({
+                name,
+                steamId: modId,
+                version: getSheets().find(sheet => sheet.gid === gid)?.version || gid,
+                status: statusSelect.value,
+                notes: notesInput.value,
+                steps: stepsInput.value,
+                currentEntry: range !== null && sheetInfo && !sheetInfo.layoutError
+                    ? { status: sheetInfo.status === '0' ? 'untested' : sheetInfo.status, notes: sheetInfo.notes, range }
+                    : null
+            });
+        };
+
+        const actions = document.createElement('div');
+        actions.style.cssText = `display: flex; justify-content: flex-end; gap: ${CONSTANTS.UI.SPACING.SMALL};`;
+
+        const copyButton = document.createElement('button');
+        copyButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        copyButton.textContent = CONSTANTS.MESSAGES.UI.COPY_REPORT;
+        copyButton.addEventListener('click', () => {
+            GM_setClipboard(collectReport(), 'text');
+            showToast(CONSTANTS.MESSAGES.TOAST.SUBMISSION_COPIED);
+            close();
+        });
+
+        const downloadButton = document.createElement('button');
+        downloadButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        downloadButton.textContent = CONSTANTS.MESSAGES.UI.DOWNLOAD_REPORT;
+        downloadButton.addEventListener('click', () => {
+            downloadFile(collectReport(), `rimworld-mp-report-${modId}.md`, 'text/markdown');
+            showToast(CONSTANTS.MESSAGES.TOAST.SUBMISSION_DOWNLOADED);
+            close();
+        });
+
+        actions.append(copyButton, downloadButton);
+        body.append(
+            createField(CONSTANTS.MESSAGES.UI.SUBMISSION_STATUS, statusSelect),
+            createField(CONSTANTS.MESSAGES.UI.SUBMISSION_VERSION, versionSelect),
+            createField(CONSTANTS.MESSAGES.UI.SUBMISSION_NOTES, notesInput),
+            createField(CONSTANTS.MESSAGES.UI.SUBMISSION_STEPS, stepsInput),
+            actions
+        );
+    }
+
+    function createVersionMatrix(modId, selectedGid) {
+        const matrix = document.createElement('div');
+        matrix.className = 'mp-compat-version-matrix';
+        matrix.style.cssText = `
+            margin-top: 15px;
+            padding-top: 10px;
+            border-top: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            font-size: 12px;
+        `;
+
+        const heading = document.createElement('div');
+        heading.style.cssText = `
+            font-weight: bold;
+            margin-bottom: 5px;
+            color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT};
+        `;
+        const ageLabel = compatibilityCache.getAgeLabel();
+        heading.textContent = `${CONSTANTS.MESSAGES.UI.ALL_VERSIONS}${ageLabel ? ` (${ageLabel})` : ''}`;
+        matrix.appendChild(heading);
+
+        getSheets().forEach(sheet => {
+            const modInfo = compatibilityCache.getModInfo(modId, sheet.gid);
+            const status = !modInfo ? 'untested' : (modInfo.status === '0' ? 'untested' : modInfo.status);
+            const isSelected = sheet.gid === selectedGid;
+
+            const row = document.createElement('div');
+            row.dataset.gid = sheet.gid;
+            row.title = CONSTANTS.MESSAGES.UI.MATRIX_ROW_TITLE(sheet.version);
+            row.style.cssText = `
+                display: grid;
+                grid-template-columns: 60px 20px 110px 1fr;
+                align-items: center;
+                gap: 5px;
+                padding: 3px 5px;
+                border-radius: 3px;
+                cursor: pointer;
+                background: ${isSelected ? 'rgba(49, 98, 130, 0.4)' : 'transparent'};
+            `;
+
+            const version = document.createElement('span');
+            version.style.fontWeight = isSelected ? 'bold' : 'normal';
+            version.textContent = sheet.version;
+
+            const icon = document.createElement('span');
+            icon.style.color = getStatusColor(status);
+            icon.textContent = getStatusIcon(status) || '';
+
+            const label = document.createElement('span');
+            label.style.color = getStatusColor(status) || CONSTANTS.UI.COLORS.TEXT;
+            label.textContent = CONSTANTS.STATUS.SHORT_LABELS[status] || CONSTANTS.MESSAGES.UI.UNKNOWN;
+            if (modInfo?.override) {
+                label.textContent += ' ✎';
+                label.title = CONSTANTS.MESSAGES.UI.PERSONAL_OVERRIDE;
+            }
+
+            const note = document.createElement('span');
+            note.style.cssText = 'overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+            note.textContent = truncateText(modInfo?.notes, CONSTANTS.UI.MATRIX_NOTE_LENGTH);
+            note.title = modInfo?.notes || '';
+
+            icon.setAttribute('aria-hidden', 'true');
+
+            row.tabIndex = 0;
+            row.setAttribute('role', 'button');
+            row.setAttribute('aria-pressed', String(isSelected));
+            row.append(version, icon, label, note);
+            row.addEventListener('click', async () => {
+                if (!isSelected) {
+                    await updateAllContent(sheet.gid);
+                }
+            });
+            row.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    row.click();
+                }
+            });
+
+            matrix.appendChild(row);
+        });
+
+        return matrix;
+    }
+
+    /**
+     * Opens a modal dialog. Returns the body element to fill and a close callback.
+     */
+    function createDialog(title) {
+        const overlay = document.createElement('div');
+        overlay.className = 'mp-compat-dialog-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.6);
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', title);
+        dialog.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel + `
+            width: min(720px, 90vw);
+            max-height: 85vh;
+            overflow-y: auto;
+            margin: 0;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-size: 16px;
+            font-weight: bold;
+            margin-bottom: 15px;
+            color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT};
+            border-bottom: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            padding-bottom: 10px;
+        `;
+        header.textContent = title;
+
+        const closeButton = document.createElement('button');
+        closeButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        closeButton.setAttribute('aria-label', CONSTANTS.MESSAGES.UI.CLOSE);
+        closeButton.textContent = '✖';
+        header.appendChild(closeButton);
+
+        const body = document.createElement('div');
+        dialog.append(header, body);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeyDown);
+            overlay.remove();
+        };
+
+        closeButton.addEventListener('click', close);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+        document.addEventListener('keydown', onKeyDown);
+        closeButton.focus();
+
+        return { body, close };
+    }
+
+    /**
+     * Parses a ModsConfig.xml or a RimSort/RimPy exported mod list into entries
+     * carrying a Workshop ID and/or a package ID.
+     */
+    function parseModList(text) {
+        const entries = [];
+        const seen = new Set();
+        const addEntry = (entry) => {
+            const key = entry.steamId || entry.packageId;
+            if (!key || seen.has(key)) return;
+            // Core and the DLCs are always available to every player
+            if (entry.packageId?.startsWith('ludeon.rimworld')) return;
+            seen.add(key);
+            entries.push(entry);
+        };
+
+        if (/<activeMods>/i.test(text)) {
+            const xml = new DOMParser().parseFromString(text, 'text/xml');
+            if (xml.querySelector('parsererror')) {
+                throw new Error(CONSTANTS.MESSAGES.ERROR.INVALID_XML);
+            }
+            xml.querySelectorAll('activeMods > li').forEach(li => {
+                const packageId = li.textContent.trim().toLowerCase().replace(/_steam$/, '');
+                addEntry({ name: packageId, steamId: null, packageId });
+            });
+            return entries;
+        }
+
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const steamId = trimmed.match(/filedetails\/\?id=(\d+)/)?.[1]
+                || trimmed.match(/(?:^|[^\w.])(\d{7,12})(?:$|[^\w.])/)?.[1]
+                || null;
+            const withoutUrls = trimmed.replace(/https?:\/\/\S+/g, ' ');
+            const packageId = withoutUrls.match(/(?:^|[\s[(|,;])([a-z0-9_-]+(?:\.[a-z0-9_-]+)+)(?=$|[\s\])|,;])/i)?.[1]?.toLowerCase() || null;
+            const name = withoutUrls
+                .replace(/[[(]?[a-z0-9_-]+(?:\.[a-z0-9_-]+)+[\])]?/gi, ' ')
+                .replace(/\b\d{7,12}\b/g, ' ')
+                .replace(/[[\]()|,;:]+/g, ' ')
+                .replace(/\s[-–](?=\s|$)/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            addEntry({ name: name || packageId || steamId, steamId, packageId });
+        });
+
+        return entries;
+    }
+
+    function checkModList(entries, selectedGid) {
+        const modList = createEmptyModList();
+
+        entries.forEach(entry => {
+            let steamId = entry.steamId;
+            let modInfo = steamId ? compatibilityCache.getModInfo(steamId, selectedGid) : null;
+
+            if ((!modInfo || modInfo.status === 'untested') && entry.packageId) {
+                const match = compatibilityCache.getModInfoByPackageId(entry.packageId, selectedGid);
+                if (match) {
+                    steamId = steamId || match.steamId;
+                    modInfo = match.modInfo;
+                }
+            }
+
+            if (!modInfo) {
+                modInfo = {
+                    status: 'untested',
+                    notes: entry.packageId
+                        ? CONSTANTS.MESSAGES.UI.UNRESOLVED_PACKAGE(entry.packageId)
+                        : CONSTANTS.MESSAGES.UI.UNRESOLVED_ENTRY
+                };
+            }
+
+            const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+            // Entries without a Workshop ID get an empty one, so exports and panels show the name without a link
+            addToModList(modList, status, { name: entry.name, id: steamId || '', notes: modInfo.notes, override: modInfo.override });
+        });
+
+        return modList;
+    }
+
+    function openModListImportDialog(selectedGid = getDefaultVersion() || getSheets()[0].gid) {
+        const { body } = createDialog(CONSTANTS.MESSAGES.UI.MOD_LIST_TITLE);
+
+        const help = document.createElement('div');
+        help.style.cssText = 'font-size: 12px; margin-bottom: 10px;';
+        help.textContent = CONSTANTS.MESSAGES.UI.MOD_LIST_HELP;
+
+        const textarea = document.createElement('textarea');
+        textarea.rows = 10;
+        textarea.placeholder = '<activeMods>\n  <li>brrainz.harmony</li>\n  ...';
+        textarea.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            background: #0e141b;
+            color: ${CONSTANTS.UI.COLORS.TEXT};
+            border: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            font-family: monospace;
+            font-size: 12px;
+        `;
+
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: ${CONSTANTS.UI.SPACING.SMALL};
+            margin: ${CONSTANTS.UI.SPACING.MEDIUM} 0;
+        `;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.xml,.txt,.csv,.rml';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (file) {
+                textarea.value = await file.text();
+            }
+        });
+
+        const versionSelect = document.createElement('select');
+        versionSelect.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        getSheets().forEach(sheet => {
+            const option = document.createElement('option');
+            option.value = sheet.gid;
+            option.textContent = sheet.version;
+            option.selected = sheet.gid === selectedGid;
+            versionSelect.appendChild(option);
+        });
+
+        const checkButton = document.createElement('button');
+        checkButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        checkButton.textContent = CONSTANTS.MESSAGES.UI.CHECK;
+
+        const results = document.createElement('div');
+
+        checkButton.addEventListener('click', () => {
+            results.innerHTML = '';
+            try {
+                const entries = parseModList(textarea.value);
+                if (!entries.length) {
+                    showToast(CONSTANTS.MESSAGES.TOAST.IMPORT_EMPTY, true);
+                    return;
+                }
+
+                const sheet = getSheets().find(s => s.gid === versionSelect.value) || getSheets()[0];
+                const modList = checkModList(entries, sheet.gid);
+                results.appendChild(createSummaryPanel(modList, sheet, CONSTANTS.MESSAGES.UI.MOD_LIST_SUMMARY_TITLE(sheet.version, entries.length)));
+            } catch (error) {
+                console.error('Failed to parse mod list:', error);
+                showToast(CONSTANTS.MESSAGES.TOAST.MOD_LIST_FAILED(error.message), true);
+            }
+        });
+
+        controls.append(fileInput, versionSelect, checkButton);
+        body.append(help, textarea, controls, results);
+    }
+
+    function createErrorPanel(errorMessage) {
+        const panel = document.createElement('div');
+        panel.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel + `
+        border-color: #ff4444;
+        color: #ff4444;
+    `;
+
+        panel.innerHTML = `
+        <strong>${CONSTANTS.MESSAGES.UI.PANEL_TITLE}</strong><br><br>
+        ${errorMessage}
+    `;
+
+        if (!compatibilityCache.data) {
+            const importButton = createSnapshotImportButton(() => initModPage());
+            importButton.style.cssText = 'display: block; margin-top: 10px;';
+            panel.appendChild(importButton);
+        }
+
+        if (currentInfoPanel) {
+            currentInfoPanel.replaceWith(panel);
+            currentInfoPanel = panel;
+        } else {
+            const descriptionElement = document.querySelector('.workshopItemDescription');
+            if (descriptionElement) {
+                descriptionElement.parentElement.insertBefore(panel, descriptionElement);
+                currentInfoPanel = panel;
+            }
+        }
+    }
+
+    /**
+     * Warns before a mod that does not work or has major issues for the selected
+     * version is added to a collection. The first click on Steam's Add to Collection
+     * button is held back until the warning is acknowledged, and the warning is
+     * repeated inside Steam's collection dialog.
+     */
+    function installAddToCollectionGuard(modId) {
+        let acknowledged = false;
+
+        const getGuardedInfo = () => {
+            const selectedGid = currentInfoPanel?.dataset.gid || detectModVersion();
+            const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
+            const status = !modInfo ? 'untested' : (modInfo.status === '0' ? 'untested' : modInfo.status);
+            if (!CONSTANTS.COLLECTION_GUARD.GUARDED_STATUSES.includes(status)) return null;
+
+            const sheet = getSheets().find(s => s.gid === selectedGid) || getSheets()[0];
+            return { status, notes: modInfo.notes, sheet };
+        };
+
+        const createWarning = ({ status, notes, sheet }) => {
+            const warning = document.createElement('div');
+            warning.className = 'mp-compat-collection-warning';
+            warning.setAttribute('role', 'alert');
+            warning.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel + `
+                border-color: ${getStatusColor(status)};
+                font-size: 12px;
+            `;
+
+            const title = document.createElement('strong');
+            title.style.color = getStatusColor(status);
+            title.textContent = `${getStatusIcon(status)} ${CONSTANTS.MESSAGES.UI.GUARD_TITLE(CONSTANTS.STATUS.SHORT_LABELS[status], sheet.version)}`;
+
+            const notesDiv = document.createElement('div');
+            notesDiv.style.marginTop = CONSTANTS.UI.SPACING.SMALL;
+            notesDiv.textContent = notes || CONSTANTS.MESSAGES.UI.NO_NOTES;
+
+            warning.append(title, notesDiv);
+            return warning;
+        };
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest(CONSTANTS.COLLECTION_GUARD.TRIGGER_SELECTOR);
+            if (!trigger || acknowledged) return;
+
+            const info = getGuardedInfo();
+            if (!info) return;
+
+            e.preventDefault();
+            e.stopImmediatePropagation();
+
+            document.querySelectorAll('.mp-compat-collection-warning').forEach(w => w.remove());
+            const warning = createWarning(info);
+
+            const actions = document.createElement('div');
+            actions.style.cssText = `display: flex; gap: ${CONSTANTS.UI.SPACING.SMALL}; margin-top: ${CONSTANTS.UI.SPACING.MEDIUM};`;
+
+            const continueButton = document.createElement('button');
+            continueButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+            continueButton.textContent = CONSTANTS.MESSAGES.UI.ADD_ANYWAY;
+            continueButton.addEventListener('click', () => {
+                // Only the re-dispatched click skips the guard; later clicks are checked again
+                acknowledged = true;
+                warning.remove();
+                trigger.click();
+                acknowledged = false;
+            });
+
+            const cancelButton = document.createElement('button');
+            cancelButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+            cancelButton.textContent = CONSTANTS.MESSAGES.UI.CANCEL;
+            cancelButton.addEventListener('click', () => warning.remove());
+
+            actions.append(continueButton, cancelButton);
+            warning.appendChild(actions);
+            trigger.insertAdjacentElement('afterend', warning);
+            continueButton.focus();
+        }, true);
+
+        const observer = new MutationObserver((mutations) => {
+            const { DIALOG_SELECTOR } = CONSTANTS.COLLECTION_GUARD;
+            const dialogAdded = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+                node.nodeType === Node.ELEMENT_NODE && (node.matches(DIALOG_SELECTOR) || node.querySelector(DIALOG_SELECTOR))));
+            if (!dialogAdded) return;
+
+            document.querySelectorAll(DIALOG_SELECTOR).forEach(dialog => {
+                if (dialog.querySelector('.mp-compat-collection-warning')) return;
+                if (!/collection/i.test(dialog.querySelector('.newmodal_header, .title_text')?.textContent || '')) return;
+
+                const info = getGuardedInfo();
+                const content = dialog.querySelector('.newmodal_content') || dialog;
+                if (info) {
+                    content.insertBefore(createWarning(info), content.firstChild);
+                }
+            });
+        });
+        observer.observe(document.body, { childList: true });
+    }
+
+    /**
+     * Dialog for display preferences: icons, colors, badge position, pages and language.
+     */
+    function openSettingsDialog() {
+        const { body, close } = createDialog(CONSTANTS.MESSAGES.UI.SETTINGS_TITLE);
+        const settings = getSettings();
+        const fieldStyle = 'display: block; font-size: 12px; margin-bottom: 10px;';
+
+        const createSelectField = (labelText, options, selected) => {
+            const label = document.createElement('label');
+            label.style.cssText = fieldStyle;
+            const select = document.createElement('select');
+            select.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'margin-left: 5px;';
+            options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                option.selected = String(value) === String(selected);
+                select.appendChild(option);
+            });
+            label.append(labelText, select);
+            return { label, select };
+        };
+
+        const refreshField = createSelectField(
+            CONSTANTS.MESSAGES.UI.SETTINGS_REFRESH,
+            CONSTANTS.SETTINGS.REFRESH_HOURS.map(hours => [hours, hours < 24 ? CONSTANTS.MESSAGES.UI.REFRESH_HOURS(hours) : CONSTANTS.MESSAGES.UI.REFRESH_DAYS(hours / 24)]),
+            settings.refreshHours
+        );
+        const defaultVersionField = createSelectField(
+            CONSTANTS.MESSAGES.UI.SETTINGS_DEFAULT_VERSION,
+            [['', CONSTANTS.MESSAGES.UI.DEFAULT_VERSION_NONE], ...getSheets().map(sheet => [sheet.gid, sheet.version])],
+            getDefaultVersion() || ''
+        );
+        const iconSetField = createSelectField(
+            CONSTANTS.MESSAGES.UI.SETTINGS_ICONS,
+            Object.entries(CONSTANTS.SETTINGS.ICON_SETS).map(([key, set]) => [
+                key,
+                `${CONSTANTS.MESSAGES.UI.ICON_SETS[key]} (${CONSTANTS.STATUS.ORDER.map(status => (set.icons || CONSTANTS.STATUS.ICONS)[status]).join(' ')})`
+            ]),
+            settings.iconSet
+        );
+        const badgePositionField = createSelectField(
+            CONSTANTS.MESSAGES.UI.SETTINGS_BADGE_POSITION,
+            CONSTANTS.SETTINGS.BADGE_POSITIONS.map(position => [position, CONSTANTS.MESSAGES.UI.BADGE_POSITIONS[position]]),
+            settings.badgePosition
+        );
+        const tooltipField = createSelectField(
+            CONSTANTS.MESSAGES.UI.SETTINGS_TOOLTIPS,
+            CONSTANTS.SETTINGS.TOOLTIP_TRIGGERS.map(trigger => [trigger, CONSTANTS.MESSAGES.UI.TOOLTIP_TRIGGERS[trigger]]),
+            settings.tooltipTrigger
+        );
+        const languageField = createSelectField(
+            CONSTANTS.MESSAGES.UI.SETTINGS_LANGUAGE,
+            Object.entries(CONSTANTS.I18N.LANGUAGES).map(([key, name]) => [key, key === 'auto' ? CONSTANTS.MESSAGES.UI.LANGUAGE_AUTO : name]),
+            settings.language
+        );
+        const paletteField = createSelectField(
+            CONSTANTS.MESSAGES.UI.SETTINGS_COLORS,
+            Object.keys(CONSTANTS.SETTINGS.PALETTES).map(key => [key, CONSTANTS.MESSAGES.UI.PALETTES[key]]),
+            settings.palette
+        );
+
+        const statusTextLabel = document.createElement('label');
+        statusTextLabel.style.cssText = 'display: flex; align-items: center; gap: 5px; font-size: 12px; margin-bottom: 10px;';
+        const statusTextCheckbox = document.createElement('input');
+        statusTextCheckbox.type = 'checkbox';
+        statusTextCheckbox.checked = settings.statusText;
+        statusTextLabel.append(statusTextCheckbox, CONSTANTS.MESSAGES.UI.SETTINGS_STATUS_TEXT);
+
+        const pagesFieldset = document.createElement('fieldset');
+        pagesFieldset.style.cssText = `font-size: 12px; margin: 0 0 10px; border: 1px solid ${CONSTANTS.UI.COLORS.BORDER};`;
+        const pagesLegend = document.createElement('legend');
+        pagesLegend.textContent = CONSTANTS.MESSAGES.UI.SETTINGS_PAGES;
+        pagesFieldset.appendChild(pagesLegend);
+        const pageCheckboxes = CONSTANTS.SETTINGS.PAGES.map(page => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: inline-flex; align-items: center; gap: 5px; margin-right: 15px;';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = page;
+            checkbox.checked = settings.enhancePages[page];
+            label.append(checkbox, CONSTANTS.MESSAGES.UI.PAGES[page]);
+            pagesFieldset.appendChild(label);
+            return checkbox;
+        });
+
+        const actions = document.createElement('div');
+        actions.style.cssText = `display: flex; flex-wrap: wrap; gap: ${CONSTANTS.UI.SPACING.SMALL}; margin-top: 15px;`;
+
+        const applyChanges = (message) => {
+            showToast(message);
+            close();
+            updateAllContent(getDefaultVersion() || getSheets()[0].gid);
+        };
+
+        const saveButton = document.createElement('button');
+        saveButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        saveButton.textContent = CONSTANTS.MESSAGES.UI.SAVE;
+        saveButton.addEventListener('click', () => {
+            setSettings({
+                refreshHours: Number(refreshField.select.value),
+                iconSet: iconSetField.select.value,
+                badgePosition: badgePositionField.select.value,
+                enhancePages: Object.fromEntries(pageCheckboxes.map(checkbox => [checkbox.value, checkbox.checked])),
+                tooltipTrigger: tooltipField.select.value,
+                palette: paletteField.select.value,
+                statusText: statusTextCheckbox.checked,
+                language: languageField.select.value
+            });
+            if ((defaultVersionField.select.value || null) !== getDefaultVersion()) {
+                setDefaultVersion(defaultVersionField.select.value || null);
+            }
+            applyChanges(CONSTANTS.MESSAGES.TOAST.SETTINGS_SAVED);
+        });
+
+        const resetButton = document.createElement('button');
+        resetButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        resetButton.textContent = CONSTANTS.MESSAGES.UI.RESET_DEFAULTS;
+        resetButton.addEventListener('click', () => {
+            if (!confirm(CONSTANTS.MESSAGES.UI.SETTINGS_RESET_CONFIRM)) return;
+            resetSettings();
+            applyChanges(CONSTANTS.MESSAGES.TOAST.SETTINGS_RESET);
+        });
+
+        const exportButton = document.createElement('button');
+        exportButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        exportButton.textContent = CONSTANTS.MESSAGES.UI.EXPORT_SETTINGS;
+        exportButton.addEventListener('click', () => {
+            downloadFile(exportSettings(), 'rimworld-mp-compatibility-settings.json', 'application/json');
+        });
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                importSettings(await file.text());
+                applyChanges(CONSTANTS.MESSAGES.TOAST.SETTINGS_IMPORTED);
+            } catch (error) {
+                console.error('Failed to import settings:', error);
+                showToast(error.message, true);
+            }
+        });
+
+        const importButton = document.createElement('button');
+        importButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        importButton.textContent = CONSTANTS.MESSAGES.UI.IMPORT_SETTINGS;
+        importButton.addEventListener('click', () => fileInput.click());
+
+        const dataButton = document.createElement('button');
+        dataButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'margin-left: auto;';
+        dataButton.textContent = CONSTANTS.MESSAGES.UI.OPEN_DATA;
+        dataButton.addEventListener('click', () => {
+            close();
+            openDataDialog();
+        });
+
+        actions.append(saveButton, resetButton, exportButton, importButton, fileInput, dataButton);
+        body.append(
+            languageField.label,
+            refreshField.label,
+            defaultVersionField.label,
+            iconSetField.label,
+            badgePositionField.label,
+            tooltipField.label,
+            paletteField.label,
+            statusTextLabel,
+            pagesFieldset,
+            actions
+        );
+    }
+
+    /**
+     * Dialog for refreshing, exporting and importing compatibility data and toggling offline mode.
+     */
+    function openDataDialog() {
+        const { body, close } = createDialog(CONSTANTS.MESSAGES.UI.DATA_TITLE);
+
+        const info = document.createElement('div');
+        info.style.cssText = 'font-size: 12px; margin-bottom: 10px;';
+
+        const renderInfo = () => {
+            info.textContent = compatibilityCache.timestamp
+                ? `${CONSTANTS.MESSAGES.UI.LAST_UPDATED(compatibilityCache.getLastUpdated(), formatAge(compatibilityCache.timestamp))}.`
+                : CONSTANTS.MESSAGES.UI.NO_DATA_LOADED;
+        };
+        renderInfo();
+
+        const offlineLabel = document.createElement('label');
+        offlineLabel.style.cssText = 'display: flex; align-items: center; gap: 5px; margin-bottom: 10px; font-size: 12px;';
+        const offlineCheckbox = document.createElement('input');
+        offlineCheckbox.type = 'checkbox';
+        offlineCheckbox.checked = compatibilityCache.isOffline();
+        offlineCheckbox.addEventListener('change', () => compatibilityCache.setOffline(offlineCheckbox.checked));
+        offlineLabel.append(offlineCheckbox, CONSTANTS.MESSAGES.UI.OFFLINE_MODE);
+
+        const actions = document.createElement('div');
+        actions.style.cssText = `display: flex; flex-wrap: wrap; gap: ${CONSTANTS.UI.SPACING.SMALL};`;
+
+        const refreshButton = document.createElement('button');
+        refreshButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        refreshButton.textContent = CONSTANTS.MESSAGES.UI.REFRESH;
+        refreshButton.addEventListener('click', async () => {
+            if (compatibilityCache.isLoading) return;
+            try {
+                refreshButton.disabled = true;
+                refreshButton.textContent = CONSTANTS.MESSAGES.UI.REFRESHING;
+                await compatibilityCache.refreshCache();
+                showToast(CONSTANTS.MESSAGES.TOAST.UPDATE_SUCCESS);
+                close();
+                await updateAllContent(getDefaultVersion() || getSheets()[0].gid);
+            } catch (error) {
+                showToast(compatibilityCache.isOffline() ? CONSTANTS.MESSAGES.TOAST.OFFLINE : CONSTANTS.MESSAGES.TOAST.UPDATE_ERROR, true);
+            } finally {
+                refreshButton.disabled = false;
+                refreshButton.textContent = CONSTANTS.MESSAGES.UI.REFRESH;
+                renderInfo();
+            }
+        });
+
+        const exportButton = document.createElement('button');
+        exportButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        exportButton.textContent = CONSTANTS.MESSAGES.UI.EXPORT_SNAPSHOT;
+        exportButton.disabled = !compatibilityCache.data;
+        exportButton.addEventListener('click', () => {
+            const date = new Date(compatibilityCache.timestamp).toISOString().slice(0, 10);
+            downloadFile(compatibilityCache.exportSnapshot(), `rimworld-mp-compatibility-snapshot-${date}.json`, 'application/json');
+        });
+
+        actions.append(refreshButton, exportButton, createSnapshotImportButton(() => {
+            close();
+            updateAllContent(getDefaultVersion() || getSheets()[0].gid);
+        }));
+        body.append(info, offlineLabel, actions, createOverridesSection(close), createDataSourceSection(close));
+    }
+
+    function createOverridesSection(closeDialog) {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            margin-top: 15px;
+            padding-top: 10px;
+            border-top: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            font-size: 12px;
+        `;
+
+        const overrideCount = Object.keys(getOverrides()).length;
+        const heading = document.createElement('div');
+        heading.style.cssText = `font-weight: bold; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; margin-bottom: 8px;`;
+        heading.textContent = CONSTANTS.MESSAGES.UI.OVERRIDES_HEADING(overrideCount);
+
+        const exportButton = document.createElement('button');
+        exportButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        exportButton.textContent = CONSTANTS.MESSAGES.UI.EXPORT_OVERRIDES;
+        exportButton.disabled = !overrideCount;
+        exportButton.addEventListener('click', () => {
+            downloadFile(exportOverrides(), 'rimworld-mp-compatibility-overrides.json', 'application/json');
+        });
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                showToast(CONSTANTS.MESSAGES.TOAST.OVERRIDES_IMPORTED(importOverrides(await file.text())));
+                closeDialog();
+                updateAllContent(getDefaultVersion() || getSheets()[0].gid);
+            } catch (error) {
+                console.error('Failed to import overrides:', error);
+                showToast(error.message, true);
+            }
+        });
+
+        const importButton = document.createElement('button');
+        importButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + `margin-left: ${CONSTANTS.UI.SPACING.SMALL};`;
+        importButton.textContent = CONSTANTS.MESSAGES.UI.IMPORT_OVERRIDES;
+        importButton.addEventListener('click', () => fileInput.click());
+
+        section.append(heading, exportButton, importButton, fileInput);
+        return section;
+    }
+
+    function createDataSourceSection(closeDialog) {
+        const section = document.createElement('div');
+        section.style.cssText = `
+            margin-top: 15px;
+            padding-top: 10px;
+            border-top: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            font-size: 12px;
+        `;
+
+        const heading = document.createElement('div');
+        heading.style.cssText = `font-weight: bold; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; margin-bottom: 8px;`;
+        heading.textContent = CONSTANTS.MESSAGES.UI.DATA_SOURCE;
+
+        const source = getDataSource();
+        const inputStyle = `
+            width: 100%;
+            box-sizing: border-box;
+            margin: 3px 0 8px;
+            background: #0e141b;
+            color: ${CONSTANTS.UI.COLORS.TEXT};
+            border: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            padding: 4px;
+        `;
+        const createField = (labelText, input) => {
+            const label = document.createElement('label');
+            label.style.display = 'block';
+            label.append(labelText, input);
+            return label;
+        };
+
+        const typeSelect = document.createElement('select');
+        typeSelect.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'margin-bottom: 8px;';
+        CONSTANTS.DATA_SOURCE.TYPES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = CONSTANTS.MESSAGES.UI.SOURCE_TYPES[type];
+            option.selected = source.type === type;
+            typeSelect.appendChild(option);
+        });
+
+        const sheetIdInput = document.createElement('input');
+        sheetIdInput.type = 'text';
+        sheetIdInput.placeholder = CONSTANTS.MESSAGES.UI.SOURCE_SHEET_ID_PLACEHOLDER;
+        sheetIdInput.value = source.sheetId || '';
+        sheetIdInput.style.cssText = inputStyle;
+
+        const urlInput = document.createElement('input');
+        urlInput.type = 'url';
+        urlInput.placeholder = 'https://example.com/compatibility.csv';
+        urlInput.value = source.url || '';
+        urlInput.style.cssText = inputStyle;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,.json,text/csv,application/json';
+        fileInput.style.cssText = 'margin: 3px 0 8px; display: block;';
+
+        const versionInput = document.createElement('input');
+        versionInput.type = 'text';
+        versionInput.placeholder = CONSTANTS.MESSAGES.UI.SOURCE_VERSION_PLACEHOLDER;
+        versionInput.value = source.version || '';
+        versionInput.style.cssText = inputStyle;
+
+        const fields = {
+            sheet: [createField(CONSTANTS.MESSAGES.UI.SOURCE_SHEET_ID, sheetIdInput)],
+            url: [createField(CONSTANTS.MESSAGES.UI.SOURCE_URL, urlInput), createField(CONSTANTS.MESSAGES.UI.SOURCE_VERSION, versionInput)],
+            file: [
+                createField(source.type === 'file' ? CONSTANTS.MESSAGES.UI.SOURCE_FILE_CURRENT(source.fileName) : CONSTANTS.MESSAGES.UI.SOURCE_FILE, fileInput),
+                createField(CONSTANTS.MESSAGES.UI.SOURCE_VERSION, versionInput)
+            ]
+        };
+        const fieldContainer = document.createElement('div');
+        const renderFields = () => {
+            fieldContainer.innerHTML = '';
+            (fields[typeSelect.value] || []).forEach(field => fieldContainer.appendChild(field));
+        };
+        typeSelect.addEventListener('change', renderFields);
+        renderFields();
+
+        const applyButton = document.createElement('button');
+        applyButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        applyButton.textContent = CONSTANTS.MESSAGES.UI.USE_SOURCE;
+        applyButton.addEventListener('click', async () => {
+            const type = typeSelect.value;
+            const newSource = { type };
+            let fileContent = null;
+
+            if (type === 'sheet') {
+                newSource.sheetId = sheetIdInput.value.trim().replace(/^.*\/spreadsheets\/d\/([^/]+).*$/, '$1');
+                if (!newSource.sheetId) return showToast(CONSTANTS.MESSAGES.TOAST.ENTER_SHEET_ID, true);
+            } else if (type === 'url') {
+                newSource.url = urlInput.value.trim();
+                newSource.version = versionInput.value.trim();
+                if (!/^https?:\/\//.test(newSource.url)) return showToast(CONSTANTS.MESSAGES.TOAST.ENTER_URL, true);
+            } else if (type === 'file') {
+                const file = fileInput.files[0];
+                if (!file) return showToast(CONSTANTS.MESSAGES.TOAST.CHOOSE_FILE, true);
+                newSource.fileName = file.name;
+                newSource.version = versionInput.value.trim();
+                fileContent = await file.text();
+            }
+
+            applyButton.disabled = true;
+            try {
+                await compatibilityCache.switchSource(newSource, fileContent);
+                showToast(CONSTANTS.MESSAGES.TOAST.SOURCE_CHANGED(CONSTANTS.MESSAGES.UI.SOURCE_TYPES[type]));
+                closeDialog();
+                await updateAllContent(getDefaultVersion() || getSheets()[0].gid);
+            } catch (error) {
+                console.error('Failed to switch data source:', error);
+                showToast(CONSTANTS.MESSAGES.TOAST.SOURCE_FAILED(error.message), true);
+            } finally {
+                applyButton.disabled = false;
+            }
+        });
+
+        section.append(heading, typeSelect, fieldContainer, applyButton);
+        return section;
+    }
+
+    function createSnapshotImportButton(onImported) {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                compatibilityCache.importSnapshot(await file.text());
+                showToast(CONSTANTS.MESSAGES.TOAST.SNAPSHOT_IMPORTED);
+                onImported?.();
+            } catch (error) {
+                console.error('Failed to import snapshot:', error);
+                showToast(error.message, true);
+            }
+        });
+
+        const importButton = document.createElement('button');
+        importButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        importButton.textContent = CONSTANTS.MESSAGES.UI.IMPORT_SNAPSHOT;
+        importButton.addEventListener('click', () => fileInput.click());
+
+        const container = document.createElement('span');
+        container.append(importButton, fileInput);
+        return container;
+    }
+
+    async function addVersionSelectorToPages() {
+        if (!isRimworldWorkshopPage() && !isRimworldCollectionPage()) return;
+
+        let attempts = 0;
+        while (!compatibilityCache.initialized && attempts < CONSTANTS.CACHE.REFRESH_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, CONSTANTS.CACHE.REFRESH_INTERVAL));
+            attempts++;
+        }
+
+        if (!compatibilityCache.initialized) {
+            console.error(CONSTANTS.MESSAGES.ERROR.CACHE_WORKSHOP);
+            return;
+        }
+
+        if (!compatibilityCache.data) {
+            console.error(CONSTANTS.MESSAGES.ERROR.NO_DATA);
+            return;
+        }
+
+        const defaultGid = getDefaultVersion() || getSheets()[0].gid;
+        const versionSelectorBar = createVersionSelectorBar(defaultGid);
+
+        if (isRimworldWorkshopPage()) {
+            const searchedTermsContainer = document.querySelector('.searchedTermsContainer');
+            if (searchedTermsContainer) {
+                const statusFilterBar = createStatusFilterBar();
+                statusFilterBar.style.marginBottom = '20px';
+                if (searchedTermsContainer.querySelector('.workshop_browsing')) {
+                    searchedTermsContainer.querySelector('.workshop_browsing').style.marginTop = '10px';
+                }
+                searchedTermsContainer.parentElement.insertBefore(versionSelectorBar, searchedTermsContainer);
+                searchedTermsContainer.parentElement.insertBefore(statusFilterBar, searchedTermsContainer);
+            }
+        } else if (isRimworldCollectionPage()) {
+            const collectionHeader = document.querySelector('.collectionHeader');
+            if (collectionHeader) {
+                collectionHeader.parentElement.insertBefore(versionSelectorBar, collectionHeader);
+            }
+        }
+    }
+    async function addWorkshopIcons() {
+        if (!isRimworldWorkshopPage() && !isRimworldCollectionPage()) return;
+
+        let attempts = 0;
+        while (!compatibilityCache.initialized && attempts < CONSTANTS.CACHE.REFRESH_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, CONSTANTS.CACHE.REFRESH_INTERVAL));
+            attempts++;
+        }
+
+        if (!compatibilityCache.initialized) {
+            console.error(CONSTANTS.MESSAGES.ERROR.CACHE_WORKSHOP);
+            return;
+        }
+
+        if (!compatibilityCache.data) {
+            console.error(CONSTANTS.MESSAGES.ERROR.NO_DATA);
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.textContent = `
+        .mp-compat-icon {
+            position: absolute;
+            background: rgba(0, 0, 0, 0.8);
+            padding: 2px 6px;
+            border-radius: 3px;
+            font-size: 16px;
+            z-index: 10;
+            cursor: help;
+            pointer-events: all;
+        }
+        .mp-compat-icon:focus-visible {
+            outline: 2px solid ${CONSTANTS.UI.COLORS.LINK};
+            outline-offset: 2px;
+        }
+        .mp-compat-tooltip {
+            display: none;
+            position: fixed;
+            background: ${CONSTANTS.UI.COLORS.BACKGROUND};
+            color: ${CONSTANTS.UI.COLORS.TEXT};
+            padding: 15px 20px;
+            border-radius: 3px;
+            font-size: 13px;
+            z-index: 1001;
+            min-width: 250px;
+            max-width: 400px;
+            white-space: normal;
+            margin-top: 8px;
+            border-width: 1px;
+            border-style: solid;
+            border-color: ${CONSTANTS.UI.COLORS.BORDER};
+            box-shadow: 0 0 10px rgba(0, 0, 0, 0.5);
+            pointer-events: all;
+        }
+        .mp-compat-tooltip strong {
+            color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT};
+            display: block;
+            margin-bottom: 8px;
+            font-size: 14px;
+            line-height: 1.4;
+        }
+        .mp-compat-tooltip-notes {
+            max-height: 200px;
+            overflow-y: auto;
+            padding-right: 10px;
+            line-height: 1.5;
+        }
+        .mp-compat-tooltip-notes::-webkit-scrollbar {
+            width: 6px;
+        }
+        .mp-compat-tooltip-notes::-webkit-scrollbar-track {
+            background: #2a475e;
+        }
+        .mp-compat-tooltip-notes::-webkit-scrollbar-thumb {
+            background: ${CONSTANTS.UI.COLORS.LINK};
+        }
+        .workshopItem.tooltip-hover {
+            pointer-events: none !important;
+        }
+        .mp-compat-version {
+            color: ${CONSTANTS.UI.COLORS.LINK};
+            font-size: 11px;
+            margin-bottom: 5px;
+            opacity: 0.8;
+        }
+    `;
+
+        document.head.appendChild(style);
+
+        const processWorkshopItems = () => {
             const items = document.querySelectorAll('.workshopItem, .collectionItem');
             items.forEach(item => {
                 if (item.querySelector('.mp-compat-icon')) return;
 
-                const linkElement = item.querySelector('a[href*="filedetails"]');
-                if (!linkElement) return;
+                const linkElement = item.querySelector('a[href*="filedetails"]');
+                if (!linkElement) return;
+
+                const modId = new URLSearchParams(linkElement.href.split('?')[1]).get('id');
+                if (!modId) return;
+
+                const defaultGid = getDefaultVersion() || getSheets()[0].gid;
+                const modName = item.querySelector('.workshopItemTitle')?.textContent.trim() || modId;
+                const modInfo = compatibilityCache.getModInfo(modId, defaultGid, modName);
+                const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+
+                item.dataset.mpCompatStatus = status;
+
+                const tooltip = createTooltip(modInfo, defaultGid, modId, modName);
+                tooltip.id = `mp-compat-tooltip-${++elementIdCount}`;
+                document.body.appendChild(tooltip);
+
+                const iconContainer = document.createElement('div');
+                iconContainer.className = 'mp-compat-icon';
+                iconContainer.tabIndex = 0;
+                iconContainer.setAttribute('role', 'button');
+                iconContainer.setAttribute('aria-controls', tooltip.id);
+                iconContainer.setAttribute('aria-expanded', 'false');
+                renderStatusBadge(iconContainer, status, modInfo);
+
+                const checkPosition = () => {
+                    const rect = iconContainer.getBoundingClientRect();
+                    const windowWidth = window.innerWidth;
+                    tooltip.style.left = rect.left < windowWidth / 2 ? `${rect.left - 10}px` : 'auto';
+                    tooltip.style.right = rect.left >= windowWidth / 2 ? `${window.innerWidth - rect.right - 10}px` : 'auto';
+                    tooltip.style.top = `${rect.bottom + 8}px`;
+                };
+
+                const showTooltip = () => {
+                    tooltip.style.display = 'block';
+                    iconContainer.setAttribute('aria-expanded', 'true');
+                    checkPosition();
+                };
+
+                const closeTooltip = () => {
+                    tooltip.style.display = 'none';
+                    iconContainer.setAttribute('aria-expanded', 'false');
+                };
+
+                const toggleTooltip = () => {
+                    if (tooltip.style.display === 'block') {
+                        closeTooltip();
+                    } else {
+                        showTooltip();
+                    }
+                };
+
+                iconContainer.addEventListener('mouseenter', () => {
+                    if (getSettings().tooltipTrigger === 'hover') showTooltip();
+                });
+                iconContainer.addEventListener('click', () => {
+                    if (getSettings().tooltipTrigger === 'click') toggleTooltip();
+                });
+
+                // Keyboard users get the tooltip on focus whatever the mouse trigger is,
+                // unless tooltips are switched off entirely
+                iconContainer.addEventListener('focus', () => {
+                    if (getSettings().tooltipTrigger !== 'off' && iconContainer.matches(':focus-visible')) showTooltip();
+                });
+                iconContainer.addEventListener('keydown', (e) => {
+                    if (getSettings().tooltipTrigger === 'off') return;
+
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        toggleTooltip();
+                    } else if (e.key === 'Escape') {
+                        closeTooltip();
+                    } else if (e.key === 'Tab' && !e.shiftKey && tooltip.style.display === 'block') {
+                        // The tooltip lives at the end of <body>, so move focus into it explicitly
+                        const firstControl = tooltip.querySelector('button, a[href]');
+                        if (firstControl) {
+                            e.preventDefault();
+                            firstControl.focus();
+                        }
+                    }
+                });
+                tooltip.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') {
+                        closeTooltip();
+                        iconContainer.focus();
+                    }
+                });
+
+                const hideTooltip = (e) => {
+                    if (!tooltip.contains(e.relatedTarget) && !iconContainer.contains(e.relatedTarget)) {
+                        closeTooltip();
+                    }
+                };
+
+                iconContainer.addEventListener('mouseleave', hideTooltip);
+                tooltip.addEventListener('mouseleave', hideTooltip);
+                iconContainer.addEventListener('blur', hideTooltip);
+                tooltip.addEventListener('focusout', hideTooltip);
+
+                ['click', 'mousedown', 'mouseup'].forEach(eventType => {
+                    [iconContainer, tooltip].forEach(element => {
+                        element.addEventListener(eventType, (e) => {
+                            e.stopPropagation();
+                            // Links inside the tooltip (possible matches) still have to open
+                            const link = e.target.closest('a[href]');
+                            if (link && tooltip.contains(link)) return;
+                            e.preventDefault();
+                        });
+                    });
+                });
+
+                const imageContainer = item.querySelector('.workshopItemPreviewHolder');
+                if (imageContainer) {
+                    imageContainer.style.position = 'relative';
+                    imageContainer.appendChild(iconContainer);
+                    window.addEventListener('scroll', checkPosition);
+                    window.addEventListener('resize', checkPosition);
+                }
+            });
+
+            applyStatusFilter();
+        };
+
+        processWorkshopItems();
+
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                if (mutation.addedNodes.length) {
+                    processWorkshopItems();
+                }
+            });
+        });
+
+        const container = document.querySelector('.workshopBrowseItems, .collectionItemsContainer');
+        if (container) {
+            observer.observe(container, { childList: true, subtree: true });
+        }
+    }
+
+    async function updateWorkshopIcons(selectedGid) {
+        const items = document.querySelectorAll('.workshopItem, .collectionItem');
+        items.forEach(item => {
+            const linkElement = item.querySelector('a[href*="filedetails"]');
+            if (!linkElement) return;
+
+            const modId = new URLSearchParams(linkElement.href.split('?')[1]).get('id');
+            if (!modId) return;
+
+            const modName = item.querySelector('.workshopItemTitle')?.textContent.trim() || modId;
+            const modInfo = compatibilityCache.getModInfo(modId, selectedGid, modName);
+            const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+            item.dataset.mpCompatStatus = status;
+
+            const iconContainer = item.querySelector('.mp-compat-icon');
+            if (iconContainer) {
+                renderStatusBadge(iconContainer, status, modInfo);
+            }
+
+            const tooltip = document.querySelector(`.mp-compat-tooltip[data-mod-id="${modId}"]`);
+            if (tooltip) {
+                const activeSheet = getSheets().find(s => s.gid === selectedGid) || getSheets()[0];
+                const ageLabel = compatibilityCache.getAgeLabel();
+                const versionInfo = selectedGid
+                    ? `<div class="mp-compat-version">${CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(escapeHtml(activeSheet.version))} ${CONSTANTS.MESSAGES.UI.DEFAULT_SUFFIX}${ageLabel ? ` · ${ageLabel}` : ''}</div>`
+                    : `<div class="mp-compat-version">${CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(escapeHtml(activeSheet.version))}${ageLabel ? ` · ${ageLabel}` : ''}</div>`;
+
+                tooltip.querySelector('.mp-compat-version').outerHTML = versionInfo;
+                tooltip.querySelector('strong').textContent = CONSTANTS.STATUS.DESCRIPTIONS[status];
+                tooltip.querySelector('.mp-compat-override').innerHTML = renderOverrideMarker(modInfo);
+                tooltip.querySelector('.mp-compat-tooltip-notes').textContent = modInfo.notes;
+                tooltip.querySelector('.mp-compat-possible-matches').innerHTML = renderPossibleMatches(modInfo.possibleMatches);
+            }
+        });
+
+        applyStatusFilter();
+    }
+
+    function createEmptyModList() {
+        return {
+            'untested': [],
+            '1': [],
+            '2': [],
+            '3': [],
+            '4': []
+        };
+    }
+
+    // Statuses the sheet uses that the script doesn't know are listed as untested
+    function addToModList(modList, status, mod) {
+        modList[status in modList ? status : 'untested'].push(mod);
+    }
+
+    /**
+     * Renders the per-status breakdown shared by collection summaries and imported mod lists.
+     */
+    function createSummaryPanel(modList, sheet, title) {
+        const panel = document.createElement('div');
+        panel.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel;
+        const listIdPrefix = `mp-compat-summary-${++elementIdCount}`;
+
+        panel.innerHTML = `
+        <div style="font-size: 16px; font-weight: bold; margin-bottom: 15px; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; text-align: center; border-bottom-width: 1px; border-bottom-style: solid; border-bottom-color: ${CONSTANTS.UI.COLORS.BORDER}; padding-bottom: 10px;">
+            ${escapeHtml(title)}
+        </div>
+        ${Object.entries(modList).map(([status, mods]) => `
+            <button type="button" class="compat-summary-row" data-status="${status}" aria-expanded="false" aria-controls="${listIdPrefix}-${status}"
+                    style="display: flex; width: 100%; justify-content: space-between; align-items: center; padding: 5px 0; cursor: pointer; background: none; border: none; color: inherit; font: inherit; text-align: left;">
+                <span style="display: flex; align-items: center;">
+                    <span aria-hidden="true" style="color: ${getStatusColor(status)}; margin-right: 8px;">${getStatusIcon(status)}</span>
+                    <span>${CONSTANTS.STATUS.DESCRIPTIONS[status]}</span>
+                </span>
+                <span style="font-weight: bold;">${mods.length}<span style="position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0);"> ${CONSTANTS.MESSAGES.UI.SCREEN_READER_MODS}</span></span>
+            </button>
+            <div class="compat-detail-list" id="${listIdPrefix}-${status}" data-status="${status}" style="display: none; margin-left: 20px; margin-top: 5px; margin-bottom: 10px;">
+                ${mods.map(mod => `
+                    <div style="margin: 5px 0;">
+                        ${mod.id ? `
+                            <a href="https://steamcommunity.com/sharedfiles/filedetails/?id=${escapeHtml(mod.id)}"
+                               target="_blank"
+                               style="color: ${CONSTANTS.UI.COLORS.LINK};">
+                                ${escapeHtml(mod.name)}
+                            </a>
+                        ` : escapeHtml(mod.name)}
+                        ${mod.override ? `
+                            <span style="font-size: 11px; color: ${CONSTANTS.OVERRIDES.MARKER_COLOR};" title="${escapeHtml(mod.override.note || CONSTANTS.MESSAGES.UI.PERSONAL_OVERRIDE)}">
+                                ${CONSTANTS.MESSAGES.UI.PERSONAL}
+                            </span>
+                        ` : ''}
+                        ${mod.limitedBy?.length ? `
+                            <span style="font-size: 11px; color: #7a8b9d;" title="${CONSTANTS.MESSAGES.UI.OWN_STATUS(CONSTANTS.STATUS.SHORT_LABELS[mod.ownStatus])}">
+                                ${CONSTANTS.MESSAGES.UI.LIMITED_VIA(escapeHtml(mod.limitedBy.map(dep => dep.name).join(', ')))}
+                            </span>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('')}
+        ${sheet.note ? `
+            <div style="margin-top: 15px; color: #ffd700; font-style: italic; font-size: 12px;">
+                ${escapeHtml(sheet.note)}
+            </div>
+        ` : ''}
+    `;
+
+        panel.querySelectorAll('.compat-summary-row').forEach(row => {
+            row.addEventListener('click', () => {
+                const status = row.dataset.status;
+                const list = panel.querySelector(`.compat-detail-list[data-status="${status}"]`);
+                if (list) {
+                    const wasHidden = list.style.display === 'none';
+                    panel.querySelectorAll('.compat-detail-list').forEach(l => {
+                        l.style.display = 'none';
+                    });
+                    panel.querySelectorAll('.compat-summary-row').forEach(r => r.setAttribute('aria-expanded', 'false'));
+                    if (wasHidden) {
+                        list.style.display = 'block';
+                        row.setAttribute('aria-expanded', 'true');
+                    }
+                }
+            });
+        });
+
+        panel.appendChild(createReportExportBar(buildCompatibilityReport(modList, sheet)));
+
+        return panel;
+    }
+
+    /**
+     * Reads the mods out of `.collectionItem` elements, from this page or a fetched
+     * collection, with each mod's status for the given version.
+     */
+    function parseCollectionItems(items, selectedGid) {
+        const mods = [];
+
+        items.forEach(item => {
+            const linkElement = item.querySelector('a[href*="filedetails"]');
+            if (!linkElement) return;
+
+            const modId = new URLSearchParams(linkElement.href.split('?')[1]).get('id');
+            if (!modId) return;
+
+            const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
+            const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+
+            mods.push({
+                name: item.querySelector('.workshopItemTitle')?.textContent || CONSTANTS.MESSAGES.UI.UNKNOWN,
+                id: modId,
+                notes: modInfo.notes,
+                override: modInfo.override,
+                status
+            });
+        });
+
+        return mods;
+    }
+
+    async function createCollectionSummary(selectedGid = getDefaultVersion() || getSheets()[0].gid) {
+        const existingSummaries = document.querySelectorAll('.compatibility-summary-panel');
+        existingSummaries.forEach(summary => summary.remove());
+
+        if (!compatibilityCache.data) return;
+
+        const defaultSheet = getSheets().find(s => s.gid === selectedGid) || getSheets()[0];
+        const items = await waitForCollectionItems();
+
+        if (!items?.length) {
+            console.log('No collection items found');
+            return;
+        }
+
+        const mods = parseCollectionItems(items, selectedGid);
+        const dependencyReport = analyzeDependencies(mods, selectedGid);
+        // Sorting and grouping use the same dependency-limited status as the summary
+        items.forEach(item => {
+            const linkElement = item.querySelector('a[href*="filedetails"]');
+            const modId = linkElement && new URLSearchParams(linkElement.href.split('?')[1]).get('id');
+            const effective = modId && dependencyReport.effective[modId];
+            if (effective) item.dataset.mpCompatEffectiveStatus = effective.status;
+        });
+        const modList = createEmptyModList();
+        mods.forEach(mod => {
+            const effective = dependencyReport.effective[mod.id];
+            if (!effective.limitedBy.length) {
+                addToModList(modList, mod.status, mod);
+                return;
+            }
+
+            addToModList(modList, effective.status, {
+                ...mod,
+                ownStatus: mod.status,
+                limitedBy: effective.limitedBy
+            });
+        });
+
+        const ageLabel = compatibilityCache.getAgeLabel();
+        const panel = createSummaryPanel(modList, defaultSheet, `${CONSTANTS.MESSAGES.UI.SUMMARY_TITLE(defaultSheet.version)}${ageLabel ? ` (${ageLabel})` : ''}`);
+        panel.className = 'compatibility-summary-panel';
+        panel.insertBefore(createDependencySection(mods, dependencyReport, selectedGid), panel.querySelector('.mp-compat-export-bar'));
+        panel.insertBefore(createVerdictPanel(modList, selectedGid), panel.children[1]);
+        panel.insertBefore(createCollectionSortBar(selectedGid), panel.querySelector('.mp-compat-export-bar'));
+        arrangeCollectionItems(getCollectionSort());
+
+        const itemsHeader = document.querySelector('.detailBox .workshopItemDescriptionTitle');
+        if (itemsHeader?.parentElement) {
+            const existingSummaries = itemsHeader.parentElement.querySelectorAll('.compatibility-summary-panel');
+            existingSummaries.forEach(summary => summary.remove());
+            itemsHeader.parentElement.insertBefore(panel, itemsHeader.nextSibling);
+        }
+
+        return panel;
+    }
+
+    /**
+     * Helper functions for the collection hosting verdict
+     */
+    function getRiskWeights() {
+        return { ...CONSTANTS.VERDICT.DEFAULT_WEIGHTS, ...GM_getValue(CONSTANTS.VERDICT.WEIGHTS_KEY, {}) };
+    }
+
+    /**
+     * Scores a status-grouped mod list from 0 (no risk) to 100 (nothing works) and
+     * recommends whether to host it. Any mod that does not work blocks hosting outright.
+     */
+    function computeVerdict(modList) {
+        const weights = getRiskWeights();
+        const maxWeight = Math.max(...Object.values(weights), 1);
+        const total = Object.values(modList).reduce((sum, mods) => sum + mods.length, 0);
+        const weighted = Object.entries(modList).reduce((sum, [status, mods]) => sum + mods.length * (weights[status] || 0), 0);
+        const score = total ? Math.round(100 * weighted / (total * maxWeight)) : 0;
+
+        const blocking = modList['1'];
+        const risky = modList['2'];
+
+        let recommendation;
+        if (blocking.length || score > CONSTANTS.VERDICT.CAUTION_THRESHOLD) {
+            recommendation = { key: 'no', text: CONSTANTS.MESSAGES.UI.VERDICT_NO, color: getStatusColor('1') };
+        } else if (score > CONSTANTS.VERDICT.HOST_THRESHOLD || risky.length) {
+            recommendation = { key: 'caution', text: CONSTANTS.MESSAGES.UI.VERDICT_CAUTION, color: getStatusColor('2') };
+        } else {
+            recommendation = { key: 'host', text: CONSTANTS.MESSAGES.UI.VERDICT_HOST, color: getStatusColor('4') };
+        }
+
+        return { score, recommendation, blocking, risky };
+    }
+
+    function createVerdictPanel(modList, selectedGid) {
+        const { score, recommendation, blocking, risky } = computeVerdict(modList);
+
+        const verdict = document.createElement('div');
+        verdict.className = 'mp-compat-verdict';
+        verdict.style.cssText = `
+            border: 1px solid ${recommendation.color};
+            border-radius: 3px;
+            padding: 10px;
+            margin-bottom: 15px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+        const recommendationText = document.createElement('div');
+        recommendationText.style.cssText = `font-size: 16px; font-weight: bold; color: ${recommendation.color};`;
+        recommendationText.textContent = recommendation.text;
+
+        const scoreText = document.createElement('div');
+        scoreText.title = CONSTANTS.MESSAGES.UI.RISK_SCORE_TITLE;
+        scoreText.innerHTML = `${CONSTANTS.MESSAGES.UI.RISK_SCORE} <strong style="color: ${recommendation.color};">${score}</strong>/100`;
+
+        const weightsButton = document.createElement('button');
+        weightsButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'font-size: 11px;';
+        weightsButton.textContent = CONSTANTS.MESSAGES.UI.WEIGHTS;
+        weightsButton.addEventListener('click', () => openRiskWeightsDialog(selectedGid));
+
+        const scoreContainer = document.createElement('div');
+        scoreContainer.style.cssText = `display: flex; align-items: center; gap: ${CONSTANTS.UI.SPACING.MEDIUM};`;
+        scoreContainer.append(scoreText, weightsButton);
+
+        header.append(recommendationText, scoreContainer);
+        verdict.appendChild(header);
+
+        [[blocking, CONSTANTS.MESSAGES.UI.BLOCKING_MODS, '1'], [risky, CONSTANTS.MESSAGES.UI.RISKY_MODS, '2']].forEach(([mods, label, status]) => {
+            if (!mods.length) return;
+
+            const list = document.createElement('div');
+            list.style.cssText = 'margin-top: 8px; font-size: 12px;';
+            list.innerHTML = `<div style="color: ${getStatusColor(status)};">${getStatusIcon(status)} ${label}:</div>`;
+            mods.forEach(mod => {
+                const row = document.createElement('div');
+                row.style.marginLeft = '15px';
+
+                const link = document.createElement('a');
+                link.href = `https://steamcommunity.com/sharedfiles/filedetails/?id=${mod.id}`;
+                link.target = '_blank';
+                link.style.color = CONSTANTS.UI.COLORS.LINK;
+                link.textContent = mod.name.trim();
+                row.appendChild(link);
+
+                if (mod.limitedBy?.length) {
+                    row.append(` ${CONSTANTS.MESSAGES.UI.VIA_DEPENDENCY(mod.limitedBy.map(dep => dep.name).join(', '))}`);
+                }
+                list.appendChild(row);
+            });
+            verdict.appendChild(list);
+        });
+
+        return verdict;
+    }
+
+    function openRiskWeightsDialog(selectedGid) {
+        const { body, close } = createDialog(CONSTANTS.MESSAGES.UI.WEIGHTS_TITLE);
+        const weights = getRiskWeights();
+
+        const help = document.createElement('div');
+        help.style.cssText = 'font-size: 12px; margin-bottom: 10px;';
+        help.textContent = CONSTANTS.MESSAGES.UI.WEIGHTS_HELP;
+        body.appendChild(help);
+
+        const inputs = {};
+        CONSTANTS.STATUS.ORDER.forEach(status => {
+            const row = document.createElement('label');
+            row.style.cssText = `display: flex; justify-content: space-between; align-items: center; margin: 5px 0;`;
+
+            const name = document.createElement('span');
+            name.style.color = getStatusColor(status);
+            name.textContent = `${getStatusIcon(status)} ${CONSTANTS.STATUS.SHORT_LABELS[status]}`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '1';
+            input.value = weights[status];
+            input.style.width = '70px';
+            inputs[status] = input;
+
+            row.append(name, input);
+            body.appendChild(row);
+        });
+
+        const actions = document.createElement('div');
+        actions.style.cssText = `display: flex; gap: ${CONSTANTS.UI.SPACING.SMALL}; margin-top: ${CONSTANTS.UI.SPACING.MEDIUM};`;
+
+        const saveButton = document.createElement('button');
+        saveButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        saveButton.textContent = CONSTANTS.MESSAGES.UI.SAVE;
+        saveButton.addEventListener('click', async () => {
+            const newWeights = {};
+            for (const [status, input] of Object.entries(inputs)) {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value) || value < 0) {
+                    showToast(CONSTANTS.MESSAGES.TOAST.WEIGHTS_INVALID, true);
+                    return;
+                }
+                newWeights[status] = value;
+            }
+            GM_setValue(CONSTANTS.VERDICT.WEIGHTS_KEY, newWeights);
+            close();
+            await createCollectionSummary(selectedGid);
+        });
+
+        const resetButton = document.createElement('button');
+        resetButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        resetButton.textContent = CONSTANTS.MESSAGES.UI.RESET_DEFAULTS;
+        resetButton.addEventListener('click', () => {
+            Object.entries(CONSTANTS.VERDICT.DEFAULT_WEIGHTS).forEach(([status, value]) => {
+                inputs[status].value = value;
+            });
+        });
+
+        actions.append(saveButton, resetButton);
+        body.appendChild(actions);
+    }
+
+    /**
+     * Dependency helpers for collection summaries. Required items come from a
+     * user-supplied list first, then from each mod's Workshop page.
+     */
+    function getSuppliedDependencies() {
+        return GM_getValue(CONSTANTS.DEPENDENCIES.SUPPLIED_KEY, {});
+    }
+
+    function getRequiredItems(modId) {
+        const supplied = getSuppliedDependencies()[modId];
+        if (supplied) return supplied;
+
+        const cached = GM_getValue(CONSTANTS.DEPENDENCIES.CACHE_KEY, {})[modId];
+        if (cached && Date.now() - cached.fetchedAt < CONSTANTS.DEPENDENCIES.CACHE_DURATION) {
+            return cached.requires;
+        }
+        return null;
+    }
+
+    function fetchPage(url) {
+        return new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url: url,
+                onload: (response) => {
+                    if (response.status === 200) {
+                        resolve(response.responseText);
+                    } else {
+                        reject(new Error(CONSTANTS.MESSAGES.ERROR.PAGE_FETCH_FAILED(response.status)));
+                    }
+                },
+                onerror: (error) => reject(new Error(CONSTANTS.MESSAGES.ERROR.REQUEST_FAILED(error)))
+            });
+        });
+    }
+
+    async function fetchRequiredItems(modId) {
+        const html = await fetchPage(`https://steamcommunity.com/sharedfiles/filedetails/?id=${modId}`);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const requires = Array.from(doc.querySelectorAll('#RequiredItems a[href*="id="]'))
+            .map(link => ({
+                id: new URLSearchParams(link.getAttribute('href').split('?')[1]).get('id'),
+                name: link.textContent.trim()
+            }))
+            .filter(dep => dep.id);
+
+        const cache = GM_getValue(CONSTANTS.DEPENDENCIES.CACHE_KEY, {});
+        cache[modId] = { fetchedAt: Date.now(), requires };
+        // Expired entries are dropped and only the newest are kept, so the cache stays bounded
+        const pruned = Object.fromEntries(Object.entries(cache)
+            .filter(([, entry]) => Date.now() - entry.fetchedAt < CONSTANTS.DEPENDENCIES.CACHE_DURATION)
+            .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+            .slice(0, CONSTANTS.DEPENDENCIES.CACHE_LIMIT));
+        GM_setValue(CONSTANTS.DEPENDENCIES.CACHE_KEY, pruned);
+        return requires;
+    }
+
+    function clearRequiredItems(modIds) {
+        const cache = GM_getValue(CONSTANTS.DEPENDENCIES.CACHE_KEY, {});
+        modIds.forEach(modId => delete cache[modId]);
+        GM_setValue(CONSTANTS.DEPENDENCIES.CACHE_KEY, cache);
+    }
+
+    /**
+     * Fetches required items for every mod without known dependencies, a few at a time.
+     */
+    async function loadDependencies(modIds, onProgress) {
+        const pending = modIds.filter(modId => !getRequiredItems(modId));
+        let done = 0;
+        let failed = 0;
+
+        const worker = async () => {
+            while (pending.length) {
+                const modId = pending.shift();
+                try {
+                    await fetchRequiredItems(modId);
+                } catch (error) {
+                    console.error(`Failed to read required items for ${modId}:`, error);
+                    failed++;
+                }
+                onProgress?.(++done, done + pending.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: CONSTANTS.DEPENDENCIES.CONCURRENCY }, worker));
+        return { failed };
+    }
+
+    /**
+     * Parses a pasted dependency list: either JSON ({ "modId": ["depId", ...] }) or
+     * one "modId: depId, depId" line per mod.
+     */
+    function parseDependencyList(text) {
+        const toEntries = (ids) => ids.map(id => String(id).trim()).filter(Boolean).map(id => ({ id, name: null }));
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) {
+            const parsed = JSON.parse(trimmed);
+            return Object.fromEntries(Object.entries(parsed).map(([modId, ids]) => [modId, toEntries(ids)]));
+        }
+
+        const dependencies = {};
+        trimmed.split(/\r?\n/).forEach(line => {
+            const match = line.match(/^\s*(\d+)\s*[:=>-]+\s*(.*)$/);
+            if (match) {
+                dependencies[match[1]] = toEntries(match[2].split(/[\s,;]+/));
+            }
+        });
+        return dependencies;
+    }
 
-                const modId = new URLSearchParams(linkElement.href.split('?')[1]).get('id');
-                if (!modId) return;
+    /**
+     * Works out which required items are missing from a collection and each mod's
+     * effective status, which is never better than the worst of its dependencies.
+     * Effective statuses follow dependencies transitively, but only the direct
+     * requirements of the collection's mods are reported as missing: required items
+     * are only read for mods in the collection, so a missing mod's own requirements
+     * are unknown.
+     */
+    function analyzeDependencies(mods, selectedGid) {
+        const byId = Object.fromEntries(mods.map(mod => [mod.id, mod]));
+        const missing = {};
+        const effective = {};
+        let known = 0;
+
+        const statusOf = (modId) => {
+            if (byId[modId]) return byId[modId].status;
+            const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
+            return !modInfo || modInfo.status === '0' ? 'untested' : modInfo.status;
+        };
 
-                const defaultGid = getDefaultVersion() || CONSTANTS.SPREADSHEET.SHEETS[0].gid;
-                const modInfo = compatibilityCache.getModInfo(modId, defaultGid);
-                const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+        const collectDependencies = (modId, visited) => {
+            (getRequiredItems(modId) || []).forEach(dep => {
+                if (visited.has(dep.id)) return;
+                visited.set(dep.id, { ...dep, name: dep.name || byId[dep.id]?.name || dep.id });
+                collectDependencies(dep.id, visited);
+            });
+            return visited;
+        };
 
-                const iconContainer = document.createElement('div');
-                iconContainer.className = 'mp-compat-icon';
-                iconContainer.style.color = CONSTANTS.STATUS.COLORS[status];
-                iconContainer.textContent = CONSTANTS.STATUS.ICONS[status];
+        mods.forEach(mod => {
+            const requires = getRequiredItems(mod.id);
+            if (requires) known++;
 
-                const tooltip = createTooltip(modInfo, defaultGid);
-                document.body.appendChild(tooltip);
+            (requires || []).forEach(dep => {
+                if (byId[dep.id]) return;
+                missing[dep.id] = missing[dep.id] || { id: dep.id, name: dep.name || dep.id, status: statusOf(dep.id), requiredBy: [] };
+                missing[dep.id].requiredBy.push(mod.name);
+            });
 
-                const checkPosition = () => {
-                    const rect = iconContainer.getBoundingClientRect();
-                    const windowWidth = window.innerWidth;
-                    tooltip.style.left = rect.left < windowWidth / 2 ? `${rect.left - 10}px` : 'auto';
-                    tooltip.style.right = rect.left >= windowWidth / 2 ? `${window.innerWidth - rect.right - 10}px` : 'auto';
-                    tooltip.style.top = `${rect.bottom + 8}px`;
-                };
+            const dependencies = Array.from(collectDependencies(mod.id, new Map([[mod.id, mod]])).values()).slice(1);
+            const severity = (status) => CONSTANTS.STATUS.SEVERITY[status] ?? CONSTANTS.STATUS.SEVERITY.untested;
+            const limitedBy = dependencies
+                .map(dep => ({ ...dep, status: statusOf(dep.id) }))
+                .filter(dep => severity(dep.status) > severity(mod.status));
+            const worst = limitedBy.reduce((status, dep) => severity(dep.status) > severity(status) ? dep.status : status, mod.status);
 
-                iconContainer.addEventListener('mouseenter', () => {
-                    tooltip.style.display = 'block';
-                    checkPosition();
-                });
+            effective[mod.id] = { status: worst, limitedBy };
+        });
 
-                const hideTooltip = (e) => {
-                    if (!tooltip.contains(e.relatedTarget) && !iconContainer.contains(e.relatedTarget)) {
-                        tooltip.style.display = 'none';
-                    }
-                };
+        return { missing: Object.values(missing), effective, known };
+    }
 
-                iconContainer.addEventListener('mouseleave', hideTooltip);
-                tooltip.addEventListener('mouseleave', hideTooltip);
+    function createDependencySection(mods, report, selectedGid) {
+        const section = document.createElement('div');
+        section.className = 'mp-compat-dependencies';
+        section.style.cssText = `
+            margin-top: 15px;
+            padding-top: 10px;
+            border-top: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            font-size: 12px;
+        `;
 
-                ['click', 'mousedown', 'mouseup'].forEach(eventType => {
-                    [iconContainer, tooltip].forEach(element => {
-                        element.addEventListener(eventType, (e) => {
-                            e.stopPropagation();
-                            e.preventDefault();
-                        });
-                    });
+        const heading = document.createElement('div');
+        heading.style.cssText = `font-weight: bold; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; margin-bottom: 5px;`;
+        heading.textContent = CONSTANTS.MESSAGES.UI.DEPENDENCIES_HEADING(report.known, mods.length);
+        section.appendChild(heading);
+
+        if (report.known) {
+            const missingInfo = document.createElement('div');
+            if (report.missing.length) {
+                missingInfo.innerHTML = `<div style="color: #ff8c1a; margin-bottom: 3px;">${CONSTANTS.MESSAGES.UI.MISSING_DEPENDENCIES(report.missing.length)}</div>`;
+                report.missing.forEach(dep => {
+                    const row = document.createElement('div');
+                    row.style.marginLeft = '15px';
+
+                    const icon = document.createElement('span');
+                    icon.style.color = getStatusColor(dep.status);
+                    icon.textContent = `${getStatusIcon(dep.status) || ''} `;
+
+                    const link = document.createElement('a');
+                    link.href = `https://steamcommunity.com/sharedfiles/filedetails/?id=${dep.id}`;
+                    link.target = '_blank';
+                    link.style.color = CONSTANTS.UI.COLORS.LINK;
+                    link.textContent = dep.name;
+
+                    row.append(icon, link, ` ${CONSTANTS.MESSAGES.UI.REQUIRED_BY(dep.requiredBy.join(', '))}`);
+                    missingInfo.appendChild(row);
                 });
+            } else {
+                missingInfo.textContent = CONSTANTS.MESSAGES.UI.NO_MISSING_DEPENDENCIES;
+            }
+            section.appendChild(missingInfo);
+
+            const limitedCount = Object.values(report.effective).filter(e => e.limitedBy.length).length;
+            if (limitedCount) {
+                const limitedInfo = document.createElement('div');
+                limitedInfo.style.marginTop = '5px';
+                limitedInfo.textContent = CONSTANTS.MESSAGES.UI.LIMITED_COUNT(limitedCount);
+                section.appendChild(limitedInfo);
+            }
+        }
 
-                const imageContainer = item.querySelector('.workshopItemPreviewHolder');
-                if (imageContainer) {
-                    imageContainer.style.position = 'relative';
-                    imageContainer.appendChild(iconContainer);
-                    window.addEventListener('scroll', checkPosition);
-                    window.addEventListener('resize', checkPosition);
-                }
+        const controls = document.createElement('div');
+        controls.style.cssText = `display: flex; gap: ${CONSTANTS.UI.SPACING.SMALL}; margin-top: 8px;`;
+
+        const fetchButton = document.createElement('button');
+        fetchButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'font-size: 11px;';
+        fetchButton.textContent = report.known < mods.length ? CONSTANTS.MESSAGES.UI.READ_DEPENDENCIES : CONSTANTS.MESSAGES.UI.RECHECK_DEPENDENCIES;
+        fetchButton.addEventListener('click', async () => {
+            fetchButton.disabled = true;
+            const modIds = mods.map(mod => mod.id);
+            if (report.known >= mods.length) {
+                clearRequiredItems(modIds);
+            }
+            const { failed } = await loadDependencies(modIds, (done, total) => {
+                fetchButton.textContent = CONSTANTS.MESSAGES.UI.READING_DEPENDENCIES(done, total);
             });
-        };
-
-        processWorkshopItems();
+            if (failed) {
+                showToast(CONSTANTS.MESSAGES.TOAST.DEPENDENCIES_FAILED(failed), true);
+            }
+            await createCollectionSummary(selectedGid);
+        });
 
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.addedNodes.length) {
-                    processWorkshopItems();
+        const supplyButton = document.createElement('button');
+        supplyButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'font-size: 11px;';
+        supplyButton.textContent = CONSTANTS.MESSAGES.UI.SUPPLY_DEPENDENCIES;
+        supplyButton.addEventListener('click', () => {
+            const { body, close } = createDialog(CONSTANTS.MESSAGES.UI.SUPPLY_TITLE);
+            const help = document.createElement('div');
+            help.style.cssText = 'font-size: 12px; margin-bottom: 10px;';
+            help.textContent = CONSTANTS.MESSAGES.UI.SUPPLY_HELP;
+
+            const textarea = document.createElement('textarea');
+            textarea.rows = 10;
+            textarea.style.cssText = `
+                width: 100%;
+                box-sizing: border-box;
+                background: #0e141b;
+                color: ${CONSTANTS.UI.COLORS.TEXT};
+                border: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+                font-family: monospace;
+                font-size: 12px;
+            `;
+            textarea.value = Object.entries(getSuppliedDependencies())
+                .map(([modId, deps]) => `${modId}: ${deps.map(dep => dep.id).join(', ')}`)
+                .join('\n');
+
+            const saveButton = document.createElement('button');
+            saveButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + `margin-top: ${CONSTANTS.UI.SPACING.MEDIUM};`;
+            saveButton.textContent = CONSTANTS.MESSAGES.UI.SAVE;
+            saveButton.addEventListener('click', async () => {
+                try {
+                    GM_setValue(CONSTANTS.DEPENDENCIES.SUPPLIED_KEY, parseDependencyList(textarea.value));
+                    close();
+                    await createCollectionSummary(selectedGid);
+                } catch (error) {
+                    showToast(CONSTANTS.MESSAGES.TOAST.DEPENDENCIES_INVALID(error.message), true);
                 }
             });
+
+            body.append(help, textarea, saveButton);
         });
 
-        const container = document.querySelector('.workshopBrowseItems, .collectionItemsContainer');
-        if (container) {
-            observer.observe(container, { childList: true, subtree: true });
-        }
+        controls.append(fetchButton, supplyButton);
+        section.appendChild(controls);
+
+        return section;
     }
 
-    async function updateWorkshopIcons(selectedGid) {
-        const items = document.querySelectorAll('.workshopItem, .collectionItem');
-        items.forEach(item => {
-            const linkElement = item.querySelector('a[href*="filedetails"]');
-            if (!linkElement) return;
+    /**
+     * Report export helpers for collection summaries
+     */
+    const REPORT_FORMATS = {
+        CSV: { extension: 'csv', mimeType: 'text/csv', format: formatReportAsCSV },
+        JSON: { extension: 'json', mimeType: 'application/json', format: formatReportAsJSON },
+        Markdown: { extension: 'md', mimeType: 'text/markdown', format: formatReportAsMarkdown }
+    };
 
-            const modId = new URLSearchParams(linkElement.href.split('?')[1]).get('id');
-            if (!modId) return;
+    function buildCompatibilityReport(modList, sheet) {
+        const { STATUS_LABELS, LIMITED_BY_DEPENDENCY } = CONSTANTS.MESSAGES.REPORT;
+        const limitedNote = (mod) => mod.limitedBy?.length
+            ? ` ${LIMITED_BY_DEPENDENCY(mod.limitedBy.map(dep => `${dep.name} (${STATUS_LABELS[dep.status]})`).join(', '))}`
+            : '';
+
+        return CONSTANTS.STATUS.ORDER.flatMap(status => (modList[status] || []).map(mod => ({
+            name: mod.name.trim(),
+            steamId: mod.id,
+            status: STATUS_LABELS[status],
+            notes: `${mod.notes || ''}${limitedNote(mod)}`,
+            version: sheet.version,
+            personalOverride: Boolean(mod.override?.status),
+            privateNote: mod.override?.note || ''
+        })));
+    }
 
-            const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
-            const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+    function formatReportAsCSV(rows) {
+        const escapeField = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['Mod Name', 'Steam ID', 'Status', 'Notes', 'Version', 'Personal Override', 'Private Note'];
+        const lines = rows.map(row => [row.name, row.steamId, row.status, row.notes, row.version, row.personalOverride ? 'yes' : '', row.privateNote]
+            .map(escapeField).join(','));
+        return [header.join(','), ...lines].join('\r\n');
+    }
 
-            const iconContainer = item.querySelector('.mp-compat-icon');
-            if (iconContainer) {
-                iconContainer.style.color = CONSTANTS.STATUS.COLORS[status];
-                iconContainer.textContent = CONSTANTS.STATUS.ICONS[status];
-            }
+    function formatReportAsJSON(rows) {
+        return JSON.stringify(rows, null, 2);
+    }
 
-            const tooltip = document.querySelector(`.mp-compat-tooltip[data-mod-id="${modId}"]`);
-            if (tooltip) {
-                const activeSheet = CONSTANTS.SPREADSHEET.SHEETS.find(s => s.gid === selectedGid) || CONSTANTS.SPREADSHEET.SHEETS[0];
-                const versionInfo = selectedGid
-                    ? `<div class="mp-compat-version">RimWorld ${activeSheet.version} (default)</div>`
-                    : `<div class="mp-compat-version">RimWorld ${activeSheet.version}</div>`;
+    function formatReportAsMarkdown(rows) {
+        const escapeCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const lines = rows.map(row => `| ${[
+            row.steamId ? `[${escapeCell(row.name)}](https://steamcommunity.com/sharedfiles/filedetails/?id=${row.steamId})` : escapeCell(row.name),
+            row.steamId,
+            row.personalOverride ? `${row.status} ✎` : row.status,
+            escapeCell(row.notes),
+            row.version,
+            escapeCell(row.privateNote)
+        ].join(' | ')} |`);
+        return [
+            '| Mod Name | Steam ID | Status | Notes | Version | Private Note |',
+            '| --- | --- | --- | --- | --- | --- |',
+            ...lines
+        ].join('\n');
+    }
 
-                tooltip.querySelector('.mp-compat-version').outerHTML = versionInfo;
-                tooltip.querySelector('strong').textContent = CONSTANTS.STATUS.DESCRIPTIONS[status];
-                tooltip.querySelector('.mp-compat-tooltip-notes').textContent = modInfo.notes;
+    function downloadFile(content, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function createReportExportBar(rows) {
+        const container = document.createElement('div');
+        container.className = 'mp-compat-export-bar';
+        container.style.cssText = `
+            margin-top: 15px;
+            padding-top: 10px;
+            border-top: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+            display: flex;
+            align-items: center;
+            justify-content: flex-end;
+            gap: ${CONSTANTS.UI.SPACING.SMALL};
+            font-size: 12px;
+        `;
+
+        const label = document.createElement('label');
+        label.textContent = CONSTANTS.MESSAGES.UI.EXPORT_LABEL;
+
+        const formatSelect = document.createElement('select');
+        formatSelect.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        Object.keys(REPORT_FORMATS).forEach(format => {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = format;
+            formatSelect.appendChild(option);
+        });
+
+        const copyButton = document.createElement('button');
+        copyButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        copyButton.textContent = CONSTANTS.MESSAGES.UI.COPY;
+        copyButton.addEventListener('click', () => {
+            const format = formatSelect.value;
+            GM_setClipboard(REPORT_FORMATS[format].format(rows), 'text');
+            showToast(CONSTANTS.MESSAGES.TOAST.EXPORT_COPIED(format));
+        });
+
+        const downloadButton = document.createElement('button');
+        downloadButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        downloadButton.textContent = CONSTANTS.MESSAGES.UI.DOWNLOAD;
+        downloadButton.addEventListener('click', () => {
+            const format = formatSelect.value;
+            const { extension, mimeType, format: formatReport } = REPORT_FORMATS[format];
+            const version = (rows[0]?.version || 'unknown').replace(/[^\w.-]+/g, '-');
+            downloadFile(formatReport(rows), `rimworld-mp-compatibility-${getModId() || 'collection'}-${version}.${extension}`, mimeType);
+            showToast(CONSTANTS.MESSAGES.TOAST.EXPORT_DOWNLOADED(format));
+        });
+
+        container.append(label, formatSelect, copyButton, downloadButton);
+        return container;
+    }
+
+    /**
+     * Helper functions for reordering Steam's collection item list by status. Each
+     * item remembers its original position, so any mode can be undone.
+     */
+    function getCollectionSort() {
+        const mode = GM_getValue(CONSTANTS.COLLECTION_SORT.KEY, 'original');
+        return CONSTANTS.COLLECTION_SORT.MODES.includes(mode) ? mode : 'original';
+    }
+
+    function arrangeCollectionItems(mode) {
+        const items = Array.from(document.querySelectorAll('.collectionItem'));
+        items.forEach((item, index) => {
+            if (item.dataset.mpCompatOrder === undefined) item.dataset.mpCompatOrder = String(index);
+        });
+        document.querySelectorAll('.mp-compat-group-heading').forEach(heading => heading.remove());
+
+        const statusOf = (item) => item.dataset.mpCompatEffectiveStatus || item.dataset.mpCompatStatus || 'untested';
+        const severity = (item) => CONSTANTS.STATUS.SEVERITY[statusOf(item)] ?? CONSTANTS.STATUS.SEVERITY.untested;
+        const originalOrder = (a, b) => Number(a.dataset.mpCompatOrder) - Number(b.dataset.mpCompatOrder);
+        const compare = {
+            original: originalOrder,
+            worst: (a, b) => severity(b) - severity(a) || originalOrder(a, b),
+            best: (a, b) => severity(a) - severity(b) || originalOrder(a, b),
+            grouped: (a, b) => severity(b) - severity(a) || originalOrder(a, b)
+        }[mode];
+
+        // Collections with sections keep items under several parents; each is sorted on its own
+        const itemsByParent = new Map();
+        items.forEach(item => {
+            if (!itemsByParent.has(item.parentElement)) itemsByParent.set(item.parentElement, []);
+            itemsByParent.get(item.parentElement).push(item);
+        });
+
+        itemsByParent.forEach((parentItems, parent) => {
+            // A marker where the list started, so items can be put back in place after any reordering
+            if (!collectionAnchors.has(parent)) {
+                const anchor = document.createComment('mp-compat-collection-items');
+                parent.insertBefore(anchor, parentItems[0]);
+                collectionAnchors.set(parent, anchor);
             }
+
+            let previous = collectionAnchors.get(parent);
+            let previousStatus = null;
+
+            [...parentItems].sort(compare).forEach(item => {
+                const status = statusOf(item);
+                const nodes = mode === 'grouped' && status !== previousStatus
+                    ? [createGroupHeading(status, parentItems.filter(i => statusOf(i) === status).length), item]
+                    : [item];
+                nodes.forEach(node => {
+                    previous.after(node);
+                    previous = node;
+                });
+                previousStatus = status;
+            });
         });
     }
 
-    async function createCollectionSummary(selectedGid = getDefaultVersion() || CONSTANTS.SPREADSHEET.SHEETS[0].gid) {
-        const existingSummaries = document.querySelectorAll('.compatibility-summary-panel');
-        existingSummaries.forEach(summary => summary.remove());
+    function createGroupHeading(status, count) {
+        const heading = document.createElement('div');
+        heading.className = 'mp-compat-group-heading';
+        heading.setAttribute('role', 'heading');
+        heading.setAttribute('aria-level', '3');
+        heading.style.cssText = `
+            clear: both;
+            width: 100%;
+            margin: 15px 0 5px;
+            padding: 5px 10px;
+            background: ${CONSTANTS.UI.COLORS.BACKGROUND};
+            border-left: 4px solid ${getStatusColor(status)};
+            color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT};
+            font-weight: bold;
+            box-sizing: border-box;
+        `;
+        heading.textContent = CONSTANTS.MESSAGES.UI.GROUP_HEADING(getStatusIcon(status), CONSTANTS.STATUS.SHORT_LABELS[status], count);
+        return heading;
+    }
 
-        const defaultSheet = CONSTANTS.SPREADSHEET.SHEETS.find(s => s.gid === selectedGid) || CONSTANTS.SPREADSHEET.SHEETS[0];
-        const items = await waitForCollectionItems();
+    function createCollectionSortBar(selectedGid) {
+        const container = document.createElement('div');
+        container.className = 'mp-compat-sort-bar';
+        container.style.cssText = `
+            margin-top: 15px;
+            display: flex;
+            align-items: center;
+            justify-content: flex-end;
+            gap: ${CONSTANTS.UI.SPACING.SMALL};
+            font-size: 12px;
+        `;
 
-        if (!items?.length) {
-            console.log('No collection items found');
-            return;
-        }
+        const label = document.createElement('label');
+        label.textContent = CONSTANTS.MESSAGES.UI.COLLECTION_ITEMS;
 
-        const summary = {
-            'untested': 0,
-            '1': 0,
-            '2': 0,
-            '3': 0,
-            '4': 0
+        const select = document.createElement('select');
+        select.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        label.appendChild(select);
+        CONSTANTS.COLLECTION_SORT.MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = CONSTANTS.MESSAGES.UI.COLLECTION_SORT_MODES[mode];
+            option.selected = mode === getCollectionSort();
+            select.appendChild(option);
+        });
+
+        const restoreButton = document.createElement('button');
+        restoreButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        restoreButton.textContent = CONSTANTS.MESSAGES.UI.RESTORE_ORDER;
+        restoreButton.disabled = getCollectionSort() === 'original';
+
+        const setMode = (mode) => {
+            GM_setValue(CONSTANTS.COLLECTION_SORT.KEY, mode);
+            select.value = mode;
+            restoreButton.disabled = mode === 'original';
+            arrangeCollectionItems(mode);
         };
+        select.addEventListener('change', () => setMode(select.value));
+        restoreButton.addEventListener('click', () => setMode('original'));
 
-        const modList = {
-            'untested': [],
-            '1': [],
-            '2': [],
-            '3': [],
-            '4': []
+        const compareButton = document.createElement('button');
+        compareButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button + 'margin-right: auto;';
+        compareButton.textContent = CONSTANTS.MESSAGES.UI.COMPARE_WITH;
+        compareButton.addEventListener('click', () => openCollectionCompareDialog(selectedGid));
+
+        container.append(compareButton, label, restoreButton);
+        return container;
+    }
+
+    /**
+     * Helper functions for comparing this collection with another one
+     */
+    function parseCollectionId(input) {
+        const text = input.trim();
+        if (/^\d+$/.test(text)) return text;
+        return text.match(/[?&]id=(\d+)/)?.[1] || null;
+    }
+
+    async function fetchCollection(collectionId) {
+        const html = await fetchPage(`https://steamcommunity.com/sharedfiles/filedetails/?id=${collectionId}`);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const items = Array.from(doc.querySelectorAll('.collectionItem'));
+        if (!items.length) {
+            throw new Error(CONSTANTS.MESSAGES.ERROR.COLLECTION_EMPTY(collectionId));
+        }
+        return {
+            title: doc.querySelector('.collectionHeader .workshopItemTitle')?.textContent.trim() || CONSTANTS.MESSAGES.UI.COLLECTION_FALLBACK(collectionId),
+            items
         };
+    }
 
-        items.forEach(item => {
-            const linkElement = item.querySelector('a[href*="filedetails"]');
-            if (!linkElement) return;
+    /**
+     * Splits two mod lists into mods only in the first, only in the second and in
+     * both, each sorted worst status first.
+     */
+    function compareCollections(modsA, modsB) {
+        const idsA = new Set(modsA.map(mod => mod.id));
+        const idsB = new Set(modsB.map(mod => mod.id));
+        const bySeverity = (a, b) => CONSTANTS.STATUS.SEVERITY[b.status] - CONSTANTS.STATUS.SEVERITY[a.status] || a.name.localeCompare(b.name);
+
+        return {
+            onlyA: modsA.filter(mod => !idsB.has(mod.id)).sort(bySeverity),
+            onlyB: modsB.filter(mod => !idsA.has(mod.id)).sort(bySeverity),
+            both: modsA.filter(mod => idsB.has(mod.id)).sort(bySeverity)
+        };
+    }
 
-            const modId = new URLSearchParams(linkElement.href.split('?')[1]).get('id');
-            if (!modId) return;
+    function openCollectionCompareDialog(selectedGid) {
+        const ageLabel = compatibilityCache.getAgeLabel();
+        const { body } = createDialog(`${CONSTANTS.MESSAGES.UI.COMPARE_TITLE}${ageLabel ? ` (${ageLabel})` : ''}`);
+        const titleA = document.querySelector('.collectionHeader .workshopItemTitle')?.textContent.trim() || CONSTANTS.MESSAGES.UI.THIS_COLLECTION;
+        let other = null;
+
+        const form = document.createElement('div');
+        form.style.cssText = `display: flex; flex-wrap: wrap; align-items: center; gap: ${CONSTANTS.UI.SPACING.SMALL}; margin-bottom: 15px; font-size: 12px;`;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = CONSTANTS.MESSAGES.UI.COLLECTION_ID_PLACEHOLDER;
+        input.style.cssText = `
+            flex: 1;
+            min-width: 200px;
+            padding: 4px;
+            background: #0e141b;
+            color: ${CONSTANTS.UI.COLORS.TEXT};
+            border: 1px solid ${CONSTANTS.UI.COLORS.BORDER};
+        `;
 
-            const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
-            const status = modInfo.status === '0' ? 'untested' : modInfo.status;
+        const versionSelect = document.createElement('select');
+        versionSelect.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        getSheets().forEach(sheet => {
+            const option = document.createElement('option');
+            option.value = sheet.gid;
+            option.textContent = CONSTANTS.MESSAGES.UI.RIMWORLD_VERSION(sheet.version);
+            option.selected = sheet.gid === selectedGid;
+            versionSelect.appendChild(option);
+        });
 
-            summary[status]++;
-            modList[status].push({
-                name: item.querySelector('.workshopItemTitle')?.textContent || 'Unknown',
-                id: modId
+        const compareButton = document.createElement('button');
+        compareButton.style.cssText = CONSTANTS.UI.COMMON_STYLES.button;
+        compareButton.textContent = CONSTANTS.MESSAGES.UI.COMPARE;
+
+        const results = document.createElement('div');
+
+        const renderList = (heading, mods) => {
+            const section = document.createElement('div');
+            section.style.marginBottom = '15px';
+            const title = document.createElement('div');
+            title.style.cssText = `font-weight: bold; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; margin-bottom: 5px;`;
+            title.textContent = `${heading} (${mods.length})`;
+            section.appendChild(title);
+
+            if (!mods.length) {
+                const empty = document.createElement('div');
+                empty.style.cssText = 'font-size: 12px; opacity: 0.7;';
+                empty.textContent = CONSTANTS.MESSAGES.UI.NONE;
+                section.appendChild(empty);
+            }
+            mods.forEach(mod => {
+                const row = document.createElement('div');
+                row.style.cssText = 'font-size: 12px; margin: 3px 0;';
+                row.innerHTML = `
+                    <span aria-hidden="true" style="color: ${getStatusColor(mod.status)};">${getStatusIcon(mod.status) || ''}</span>
+                    <a href="https://steamcommunity.com/sharedfiles/filedetails/?id=${escapeHtml(mod.id)}" target="_blank" style="color: ${CONSTANTS.UI.COLORS.LINK};">${escapeHtml(mod.name.trim())}</a>
+                    <span style="color: ${getStatusColor(mod.status)};">${CONSTANTS.STATUS.SHORT_LABELS[mod.status] || escapeHtml(mod.status)}</span>
+                `;
+                section.appendChild(row);
             });
-        });
+            return section;
+        };
 
-        const panel = document.createElement('div');
-        panel.className = 'compatibility-summary-panel';
-        panel.style.cssText = CONSTANTS.UI.COMMON_STYLES.panel;
+        const renderVerdict = (title, mods) => {
+            const modList = createEmptyModList();
+            mods.forEach(mod => addToModList(modList, mod.status, mod));
+            const { score, recommendation } = computeVerdict(modList);
+            const line = document.createElement('div');
+            line.style.cssText = 'font-size: 12px; margin-bottom: 5px;';
+            line.innerHTML = `<strong>${escapeHtml(title)}</strong>: ${CONSTANTS.MESSAGES.UI.COMPARE_SUMMARY(mods.length, score)}, <span style="color: ${recommendation.color};">${recommendation.text}</span>`;
+            return line;
+        };
 
-        panel.innerHTML = `
-        <div style="font-size: 16px; font-weight: bold; margin-bottom: 15px; color: ${CONSTANTS.UI.COLORS.TEXT_HIGHLIGHT}; text-align: center; border-bottom-width: 1px; border-bottom-style: solid; border-bottom-color: ${CONSTANTS.UI.COLORS.BORDER}; padding-bottom: 10px;">
-            Compatibility Summary for RimWorld ${defaultSheet.version}
-        </div>
-        ${Object.entries(summary).map(([status, count]) => `
-            <div class="compat-summary-row" data-status="${status}" style="display: flex; justify-content: space-between; align-items: center; padding: 5px 0; cursor: pointer;">
-                <div style="display: flex; align-items: center;">
-                    <span style="color: ${CONSTANTS.STATUS.COLORS[status]}; margin-right: 8px;">${CONSTANTS.STATUS.ICONS[status]}</span>
-                    <span>${CONSTANTS.STATUS.DESCRIPTIONS[status]}</span>
-                </div>
-                <div style="font-weight: bold;">${count}</div>
-            </div>
-            <div class="compat-detail-list" data-status="${status}" style="display: none; margin-left: 20px; margin-top: 5px; margin-bottom: 10px;">
-                ${modList[status].map(mod => `
-                    <div style="margin: 5px 0;">
-                        <a href="https://steamcommunity.com/sharedfiles/filedetails/?id=${mod.id}"
-                           target="_blank"
-                           style="color: ${CONSTANTS.UI.COLORS.LINK};">
-                            ${mod.name}
-                        </a>
-                    </div>
-                `).join('')}
-            </div>
-        `).join('')}
-        ${defaultSheet.note ? `
-            <div style="margin-top: 15px; color: #ffd700; font-style: italic; font-size: 12px;">
-                ${defaultSheet.note}
-            </div>
-        ` : ''}
-    `;
+        const render = () => {
+            if (!other) return;
+            const gid = versionSelect.value;
+            const modsA = parseCollectionItems(Array.from(document.querySelectorAll('.collectionItem')), gid);
+            const modsB = parseCollectionItems(other.items, gid);
+            const { onlyA, onlyB, both } = compareCollections(modsA, modsB);
+
+            results.innerHTML = '';
+            results.append(
+                renderVerdict(CONSTANTS.MESSAGES.UI.COLLECTION_A(titleA), modsA),
+                renderVerdict(CONSTANTS.MESSAGES.UI.COLLECTION_B(other.title), modsB),
+                document.createElement('hr'),
+                renderList(CONSTANTS.MESSAGES.UI.ONLY_IN_A(titleA), onlyA),
+                renderList(CONSTANTS.MESSAGES.UI.ONLY_IN_B(other.title), onlyB),
+                renderList(CONSTANTS.MESSAGES.UI.IN_BOTH, both)
+            );
+        };
 
-        panel.querySelectorAll('.compat-summary-row').forEach(row => {
-            row.addEventListener('click', () => {
-                const status = row.dataset.status;
-                const list = panel.querySelector(`.compat-detail-list[data-status="${status}"]`);
-                if (list) {
-                    const wasHidden = list.style.display === 'none';
-                    panel.querySelectorAll('.compat-detail-list').forEach(l => {
-                        l.style.display = 'none';
-                    });
-                    if (wasHidden) {
-                        list.style.display = 'block';
-                    }
-                }
-            });
-        });
+        const runCompare = async () => {
+            const collectionId = parseCollectionId(input.value);
+            if (!collectionId) {
+                showToast(CONSTANTS.MESSAGES.TOAST.ENTER_COLLECTION, true);
+                return;
+            }
 
-        const itemsHeader = document.querySelector('.detailBox .workshopItemDescriptionTitle');
-        if (itemsHeader?.parentElement) {
-            const existingSummaries = itemsHeader.parentElement.querySelectorAll('.compatibility-summary-panel');
-            existingSummaries.forEach(summary => summary.remove());
-            itemsHeader.parentElement.insertBefore(panel, itemsHeader.nextSibling);
-        }
+            compareButton.disabled = true;
+            results.textContent = CONSTANTS.MESSAGES.UI.LOADING_COLLECTION;
+            try {
+                other = await fetchCollection(collectionId);
+                render();
+            } catch (error) {
+                console.error('Failed to load collection for comparison:', error);
+                other = null;
+                results.textContent = error.message;
+            } finally {
+                compareButton.disabled = false;
+            }
+        };
 
-        return panel;
+        compareButton.addEventListener('click', runCompare);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') runCompare();
+        });
+        versionSelect.addEventListener('change', render);
+
+        form.append(input, versionSelect, compareButton);
+        body.append(form, results);
+        input.focus();
     }
 
     async function waitForCollectionItems() {
@@ -1030,10 +6180,11 @@
             const existingSummaries = document.querySelectorAll('.compatibility-summary-panel');
             existingSummaries.forEach(summary => summary.remove());
 
-            if (isRimworldModPage()) {
+            const pages = getSettings().enhancePages;
+            if (isRimworldModPage() && pages.mods) {
                 const modId = getModId();
-                const modInfo = compatibilityCache.getModInfo(modId, selectedGid);
-                const sheet = CONSTANTS.SPREADSHEET.SHEETS.find(s => s.gid === selectedGid);
+                const modInfo = compatibilityCache.getModInfo(modId, selectedGid, getModTitle());
+                const sheet = getSheets().find(s => s.gid === selectedGid);
                 const newPanel = createInfoPanel(modInfo, sheet, selectedGid);
 
                 if (currentInfoPanel) {
@@ -1049,7 +6200,7 @@
 
             await updateWorkshopIcons(selectedGid);
 
-            if (isRimworldCollectionPage()) {
+            if (isRimworldCollectionPage() && pages.collections) {
                 await new Promise(resolve => setTimeout(resolve, 100));
                 await createCollectionSummary(selectedGid);
             }
@@ -1060,15 +6211,19 @@
     }
 
     async function initialize() {
-        if (isRimworldWorkshopPage() || isRimworldCollectionPage()) {
+        const pages = getSettings().enhancePages;
+        const isWorkshopPage = isRimworldWorkshopPage() && pages.workshop;
+        const isCollectionPage = isRimworldCollectionPage() && pages.collections;
+
+        if (isWorkshopPage || isCollectionPage) {
             await addVersionSelectorToPages();
         }
 
         if (isRimworldModPage()) {
-            await initModPage();
-        } else if (isRimworldWorkshopPage() || isRimworldCollectionPage()) {
+            if (pages.mods) await initModPage();
+        } else if (isWorkshopPage || isCollectionPage) {
             await addWorkshopIcons();
-            if (isRimworldCollectionPage()) {
+            if (isCollectionPage) {
                 await createCollectionSummary();
             }
         }
@@ -1091,10 +6246,16 @@
             return;
         }
 
+        if (!compatibilityCache.data) {
+            createErrorPanel(CONSTANTS.MESSAGES.ERROR.NO_DATA);
+            return;
+        }
+
         try {
+            currentModChanges = markModSeen(modId);
             const detectedVersion = detectModVersion();
-            const modInfo = compatibilityCache.getModInfo(modId, detectedVersion);
-            const sheet = CONSTANTS.SPREADSHEET.SHEETS.find(s => s.gid === detectedVersion);
+            const modInfo = compatibilityCache.getModInfo(modId, detectedVersion, getModTitle());
+            const sheet = getSheets().find(s => s.gid === detectedVersion);
             const panel = createInfoPanel(modInfo, sheet, detectedVersion);
 
             const descriptionElement = document.querySelector('.workshopItemDescription');
@@ -1106,6 +6267,8 @@
                 }
                 currentInfoPanel = panel;
             }
+
+            installAddToCollectionGuard(modId);
         } catch (error) {
             console.error('Failed to initialize mod page:', error);
             createErrorPanel(CONSTANTS.MESSAGES.ERROR.CACHE_INIT);